@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file; the same file uploaded twice is stored once
+  checksum: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+attachmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+attachmentSchema.index({ user: 1, checksum: 1 }, { unique: true });
+attachmentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
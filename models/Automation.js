@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// One step of a sequence. Steps run in order unless `next` (or a branch's
+// `ifTrue` / `ifFalse`) points further ahead; null ends the sequence.
+const stepSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['email', 'wait', 'branch'],
+    required: true
+  },
+  name: String,
+  next: Number,
+  // email: sent through a campaign of its own, created on activation
+  templateId: String, // ObjectId of a user template or a system template key
+  subject: String,
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+  // wait
+  duration: Number,
+  unit: { type: String, enum: ['minutes', 'hours', 'days'], default: 'days' },
+  // branch: on engagement with an earlier email step
+  condition: { type: String, enum: ['opened', 'clicked'] },
+  emailStep: Number,
+  ifTrue: Number,
+  ifFalse: Number
+});
+
+const automationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'paused'],
+    default: 'draft'
+  },
+  // Contacts are enrolled when they join `contactList`, or when they get
+  // `tag` (in `contactList`, or in any list when it is not set)
+  trigger: {
+    type: { type: String, enum: ['list_join', 'tag_added'], required: true },
+    contactList: { type: mongoose.Schema.Types.ObjectId, ref: 'ContactList' },
+    tag: String
+  },
+  settings: {
+    fromName: String,
+    fromEmail: String,
+    replyTo: String,
+    trackOpens: { type: Boolean, default: true },
+    trackClicks: { type: Boolean, default: true },
+    smtpConfigId: { type: mongoose.Schema.Types.ObjectId, ref: 'SMTPConfig' }
+  },
+  steps: [stepSchema],
+  stats: {
+    enrolled: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    exited: { type: Number, default: 0 }
+  },
+  activatedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+automationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+automationSchema.index({ user: 1, status: 1 });
+automationSchema.index({ status: 1, 'trigger.type': 1 });
+
+module.exports = mongoose.model('Automation', automationSchema);
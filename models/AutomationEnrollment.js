@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A contact's progress through an automation
+const automationEnrollmentSchema = new mongoose.Schema({
+  automation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Automation',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contactList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContactList'
+  },
+  contact: mongoose.Schema.Types.ObjectId,
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  name: String,
+  // Contact fields captured on enrollment, for merge fields
+  data: {
+    firstName: String,
+    lastName: String,
+    company: String,
+    phone: String,
+    timezone: String,
+    tags: [String],
+    customFields: { type: Map, of: String }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'exited'],
+    default: 'active'
+  },
+  exitReason: String,
+  currentStep: {
+    type: Number,
+    default: 0
+  },
+  // When the current wait step ends
+  waitUntil: Date,
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  // One entry per step reached: `sent` for emails, `waiting` for waits,
+  // `yes` / `no` for branches, `suppressed` when the contact was skipped
+  history: [{
+    step: Number,
+    type: { type: String },
+    result: String,
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    at: { type: Date, default: Date.now }
+  }],
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
+
+// A contact goes through each automation once
+automationEnrollmentSchema.index({ automation: 1, email: 1 }, { unique: true });
+automationEnrollmentSchema.index({ status: 1, nextRunAt: 1 });
+automationEnrollmentSchema.index({ automation: 1, status: 1, currentStep: 1 });
+
+module.exports = mongoose.model('AutomationEnrollment', automationEnrollmentSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const CampaignRecipient = require('./CampaignRecipient');
+
+// Recipient fields campaign responses carried when recipients were embedded
+const EMBEDDED_RECIPIENT_FIELDS = 'email phone name status sentAt deliveredAt openedAt clickedAt errorMessage';
 
 const campaignSchema = new mongoose.Schema({
   user: {
@@ -17,46 +21,136 @@ const campaignSchema = new mongoose.Schema({
     enum: ['email', 'whatsapp'],
     required: true
   },
+  // Drafts can be saved without these; they are checked when launched
   subject: {
     type: String,
-    required: function() { return this.type === 'email'; }
+    required: function() { return this.type === 'email' && this.status !== 'draft'; }
   },
   content: {
     type: String,
-    required: true
+    required: function() { return this.status !== 'draft'; }
   },
-  recipients: [{
-    email: String,
-    phone: String,
-    name: String,
-    status: {
-      type: String,
-      enum: ['pending', 'sent', 'delivered', 'opened', 'clicked', 'bounced', 'failed'],
-      default: 'pending'
-    },
-    sentAt: Date,
-    deliveredAt: Date,
-    openedAt: Date,
-    clickedAt: Date,
-    errorMessage: String
+  // Plain-text version; generated from `content` when empty
+  textContent: String,
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
   }],
+  // Campaign-wide merge field values, e.g. promo_code or dashboard_url
+  variables: {
+    type: Map,
+    of: String,
+    default: {}
+  },
   settings: {
     fromName: String,
     fromEmail: String,
     replyTo: String,
     trackOpens: { type: Boolean, default: true },
-    trackClicks: { type: Boolean, default: true }
+    trackClicks: { type: Boolean, default: true },
+    smtpConfigId: { type: mongoose.Schema.Types.ObjectId, ref: 'SMTPConfig' },
+    // Configs the campaign rotates through; empty means only smtpConfigId
+    smtpPool: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SMTPConfig' }],
+    rotation: { type: String, enum: ['round_robin', 'weighted'], default: 'round_robin' },
+    templateId: String, // ObjectId of a user template or a system template key
+    contactListId: { type: mongoose.Schema.Types.ObjectId, ref: 'ContactList' }
   },
   schedule: {
     isScheduled: { type: Boolean, default: false },
     scheduledAt: Date,
-    timezone: String
+    timezone: String,
+    repeatType: { type: String, enum: ['none', 'daily', 'weekly', 'monthly'], default: 'none' },
+    repeatUntil: Date,
+    startAt: Date, // first occurrence of a recurring series
+    lastRunAt: Date,
+    // "Best time": each recipient is sent at their likeliest open hour
+    // within 24 hours of the campaign starting
+    optimizeSendTime: { type: Boolean, default: false },
+    // How the send times were chosen, set when the campaign starts
+    optimization: {
+      windowStart: Date,
+      windowEnd: Date,
+      listHour: Number, // busiest open hour across the list, local time
+      byContact: Number, // recipients timed by their own open history
+      byList: Number, // recipients timed by the list-wide model
+      immediate: Number // no open history at all: sent straight away
+    }
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // A/B test on one field. A sample of recipients is split across the
+  // variants; after `waitHours` the variant with the best `winnerMetric`
+  // is sent to everyone else.
+  abTest: {
+    enabled: { type: Boolean, default: false },
+    field: { type: String, enum: ['subject', 'fromName', 'content'] },
+    samplePercentage: { type: Number, default: 20 },
+    waitHours: { type: Number, default: 4 },
+    winnerMetric: { type: String, enum: ['open_rate', 'click_rate'], default: 'open_rate' },
+    variants: [{
+      name: String,
+      subject: String,
+      fromName: String,
+      content: String,
+      textContent: String
+    }],
+    testEndsAt: Date,
+    winner: Number,
+    decidedAt: Date
+  },
+  // Follow-ups: the campaign whose recipients this one re-sends to, and the
+  // engagement state those recipients were chosen by
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  followUp: {
+    audience: { type: String, enum: ['not_opened', 'opened_not_clicked', 'clicked'] }
+  },
+  // Email step of an automation. Stays `active` while the automation runs
+  // and gets a recipient each time a contact reaches the step.
+  automation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Automation'
+  },
+  automationStep: Number,
+  // Pre-flight spam and deliverability check of the content, refreshed
+  // whenever the content changes. For A/B tests, the riskiest variant.
+  contentCheck: {
+    score: Number, // 0 (clean) to 100
+    level: { type: String, enum: ['low', 'medium', 'high'] },
+    variant: String,
+    findings: [{
+      code: String,
+      severity: { type: String, enum: ['low', 'medium', 'high'] },
+      message: String,
+      details: mongoose.Schema.Types.Mixed,
+      points: Number
+    }],
+    checkedAt: Date
   },
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'sending', 'sent', 'completed', 'failed'],
+    enum: ['draft', 'scheduled', 'pending', 'sending', 'active', 'paused', 'sent', 'completed', 'failed', 'cancelled'],
     default: 'draft'
   },
+  error: String,
+  pausedAt: Date,
+  // Sends already added to the user's usage, so a campaign completing again
+  // after a retry only adds the new ones
+  usageRecorded: { type: Number, default: 0 },
+  // Edits made while paused; recipients sent before `editedAt` got the previous version
+  revisions: [{
+    subject: String,
+    fromName: String,
+    contentChanged: Boolean,
+    recipientsSent: Number,
+    editedAt: { type: Date, default: Date.now }
+  }],
+  // Counters over the campaign's CampaignRecipient documents, moved
+  // atomically by services/CampaignStats as recipients change
   stats: {
     totalRecipients: { type: Number, default: 0 },
     sent: { type: Number, default: 0 },
@@ -65,6 +159,8 @@ const campaignSchema = new mongoose.Schema({
     clicked: { type: Number, default: 0 },
     bounced: { type: Number, default: 0 },
     failed: { type: Number, default: 0 },
+    suppressed: { type: Number, default: 0 },
+    deferred: { type: Number, default: 0 },
     openRate: { type: Number, default: 0 },
     clickRate: { type: Number, default: 0 },
     bounceRate: { type: Number, default: 0 }
@@ -81,28 +177,108 @@ const campaignSchema = new mongoose.Schema({
   completedAt: Date
 });
 
-// Update stats before saving
 campaignSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
-  
-  // Calculate stats
-  const recipients = this.recipients;
-  this.stats.totalRecipients = recipients.length;
-  this.stats.sent = recipients.filter(r => r.status !== 'pending' && r.status !== 'failed').length;
-  this.stats.delivered = recipients.filter(r => r.status === 'delivered' || r.status === 'opened' || r.status === 'clicked').length;
-  this.stats.opened = recipients.filter(r => r.status === 'opened' || r.status === 'clicked').length;
-  this.stats.clicked = recipients.filter(r => r.status === 'clicked').length;
-  this.stats.bounced = recipients.filter(r => r.status === 'bounced').length;
-  this.stats.failed = recipients.filter(r => r.status === 'failed').length;
-  
-  // Calculate rates
-  if (this.stats.sent > 0) {
-    this.stats.openRate = (this.stats.opened / this.stats.sent) * 100;
-    this.stats.clickRate = (this.stats.clicked / this.stats.sent) * 100;
-    this.stats.bounceRate = (this.stats.bounced / this.stats.sent) * 100;
-  }
-  
   next();
 });
 
+// Per-variant results of an A/B test, from the test sample only
+campaignSchema.methods.abTestResults = async function() {
+  if (!this.abTest || !this.abTest.enabled) return [];
+
+  const groups = await CampaignRecipient.aggregate([
+    { $match: { campaign: this._id, abSample: true } },
+    { $group: { _id: { variant: '$variant', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+  const count = (index, statuses) => groups
+    .filter(group => group._id.variant === index && statuses.includes(group._id.status))
+    .reduce((sum, group) => sum + group.count, 0);
+
+  return this.abTest.variants.map((variant, index) => {
+    const recipients = groups
+      .filter(group => group._id.variant === index)
+      .reduce((sum, group) => sum + group.count, 0);
+    const sent = count(index, ['sent', 'delivered', 'opened', 'clicked', 'bounced']);
+    const opened = count(index, ['opened', 'clicked']);
+    const clicked = count(index, ['clicked']);
+
+    return {
+      index,
+      name: variant.name,
+      recipients,
+      sent,
+      opened,
+      clicked,
+      openRate: sent > 0 ? (opened / sent) * 100 : 0,
+      clickRate: sent > 0 ? (clicked / sent) * 100 : 0,
+      isWinner: this.abTest.winner === index
+    };
+  });
+};
+
+// Save a new campaign with its recipients. Recipients go in first, so the
+// campaign never exists without them, and are removed again when the
+// campaign doesn't save.
+campaignSchema.methods.saveWithRecipients = async function(recipients) {
+  this.stats.totalRecipients = await CampaignRecipient.insertForCampaign(this._id, recipients);
+  try {
+    await this.save();
+  } catch (error) {
+    await CampaignRecipient.deleteMany({ campaign: this._id });
+    throw error;
+  }
+};
+
+// The campaign with its recipients, in the shape campaigns had when
+// recipients were embedded. `limit` caps how many are included; the rest
+// can be paged through GET /api/campaigns/:id/recipients.
+campaignSchema.methods.withRecipients = async function(limit) {
+  const data = this.toObject();
+  const query = CampaignRecipient.find({ campaign: this._id })
+    .sort({ _id: 1 })
+    .select(EMBEDDED_RECIPIENT_FIELDS)
+    .lean();
+  const cap = parseInt(limit, 10);
+  if (cap > 0) query.limit(cap);
+  data.recipients = await query;
+  return data;
+};
+
+// Recipient statuses that match each follow-up audience. Opens and clicks
+// are human ones only; bounced, failed and suppressed recipients are never
+// followed up.
+const FOLLOW_UP_STATUSES = {
+  not_opened: ['sent', 'delivered'],
+  opened_not_clicked: ['opened'],
+  clicked: ['clicked']
+};
+
+campaignSchema.statics.followUpAudiences = Object.keys(FOLLOW_UP_STATUSES);
+
+// Query for the recipients of `parent` in the given follow-up audience
+campaignSchema.statics.followUpRecipients = function(parent, audience) {
+  return CampaignRecipient.find({ campaign: parent._id, status: { $in: FOLLOW_UP_STATUSES[audience] } });
+};
+
+// Recipient entry for a contact list contact
+campaignSchema.statics.recipientFromContact = function(contact) {
+  return {
+    email: contact.email,
+    name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+    status: 'pending',
+    data: {
+      firstName: contact.firstName,
+      lastName: contact.lastName,
+      company: contact.company,
+      phone: contact.phone,
+      timezone: contact.timezone,
+      tags: contact.tags,
+      customFields: contact.customFields
+    }
+  };
+};
+
+campaignSchema.index({ parent: 1 });
+campaignSchema.index({ automation: 1 });
+
 module.exports = mongoose.model('Campaign', campaignSchema);
\ No newline at end of file
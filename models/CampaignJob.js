@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const campaignJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    default: 'send-campaign'
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'active', 'completed', 'failed'],
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  rerun: {
+    type: Boolean,
+    default: false
+  },
+  lockedBy: String,
+  lockExpiresAt: Date,
+  lastError: String,
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+campaignJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for claiming due jobs and de-duplicating per campaign
+campaignJobSchema.index({ status: 1, runAt: 1 });
+campaignJobSchema.index({ status: 1, lockExpiresAt: 1 });
+// At most one queued or running job per campaign, even when two enqueues race
+campaignJobSchema.index(
+  { campaign: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['queued', 'active'] } } }
+);
+
+module.exports = mongoose.model('CampaignJob', campaignJobSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// One recipient of an email campaign. Kept out of the campaign document so
+// large lists don't approach MongoDB's document size limit, and so the
+// sender can query recipients by status instead of loading them all. The
+// campaign's `stats` counters are kept in step by services/CampaignStats.
+const campaignRecipientSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  // Stored lowercased, so lookups by address match whatever case it was
+  // given in
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Lowercased part of the address after the @, for skipping destinations
+  // that are being throttled
+  domain: String,
+  phone: String,
+  name: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'delivered', 'opened', 'clicked', 'bounced', 'failed', 'suppressed'],
+    default: 'pending'
+  },
+  sentAt: Date,
+  deliveredAt: Date,
+  openedAt: Date,
+  clickedAt: Date,
+  bouncedAt: Date,
+  attemptedAt: Date,
+  // Set after a temporary error (a 4xx deferral or a connection error);
+  // the recipient stays pending and is retried after nextAttemptAt
+  nextAttemptAt: Date,
+  // Send-time optimization: held back until the recipient's best hour
+  sendAt: Date,
+  retryCount: { type: Number, default: 0 },
+  firstRetryAt: Date,
+  // Every temporary error, final failure and manual retry
+  retryHistory: [{
+    type: { type: String, enum: ['deferred', 'connection', 'failed', 'manual'] },
+    at: { type: Date, default: Date.now },
+    error: String,
+    smtpCode: Number,
+    nextAttemptAt: Date
+  }],
+  errorMessage: String,
+  activity: { type: mongoose.Schema.Types.ObjectId, ref: 'EmailActivity' },
+  // A/B tests: index into the campaign's abTest.variants. Set for the test
+  // sample when the campaign is created, and for the remainder once a
+  // winner is picked.
+  variant: Number,
+  abSample: Boolean,
+  // Contact fields captured when the campaign was created, for merge fields
+  data: {
+    firstName: String,
+    lastName: String,
+    company: String,
+    phone: String,
+    timezone: String,
+    tags: [String],
+    customFields: { type: Map, of: String }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Add recipients to a campaign, once per address. Returns how many were
+// added.
+campaignRecipientSchema.statics.insertForCampaign = async function(campaignId, recipients) {
+  const seen = new Set();
+  const docs = recipients
+    .map(recipient => ({ ...recipient, email: this.normalizeEmail(recipient.email) }))
+    .filter(recipient => {
+      if (seen.has(recipient.email)) return false;
+      seen.add(recipient.email);
+      return true;
+    })
+    .map(recipient => ({ ...recipient, campaign: campaignId, domain: this.domainOf(recipient.email) }));
+
+  if (docs.length === 0) return 0;
+
+  try {
+    await this.insertMany(docs, { ordered: false });
+    return docs.length;
+  } catch (error) {
+    // Already a recipient, e.g. an automation contact added twice at once
+    if (error.code !== 11000) throw error;
+    return error.insertedDocs.length;
+  }
+};
+
+campaignRecipientSchema.statics.normalizeEmail = function(email) {
+  return String(email || '').trim().toLowerCase();
+};
+
+campaignRecipientSchema.statics.domainOf = function(email) {
+  return String(email).split('@').pop().toLowerCase();
+};
+
+campaignRecipientSchema.index({ campaign: 1, email: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaign: 1, status: 1 });
+campaignRecipientSchema.index({ activity: 1 }, { sparse: true });
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
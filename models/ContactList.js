@@ -10,6 +10,8 @@ const contactSchema = new mongoose.Schema({
   lastName: String,
   company: String,
   phone: String,
+  // IANA timezone, e.g. Europe/Berlin; used to time "best time" sends
+  timezone: String,
   tags: [String],
   customFields: {
     type: Map,
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Sending rate and back-off towards one destination (a mailbox provider or
+// a single domain) for one user
+const domainThrottleStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Provider rule name such as `google`, or the domain itself
+  key: {
+    type: String,
+    required: true
+  },
+  // Counter for the current UTC minute
+  minute: String,
+  sentThisMinute: {
+    type: Number,
+    default: 0
+  },
+  // Raised by 4xx deferrals: each level halves the rate and pauses sending
+  // for longer; lowered again by successful sends
+  backoff: {
+    level: { type: Number, default: 0 },
+    until: Date,
+    lastError: String,
+    lastDeferredAt: Date
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+domainThrottleStateSchema.index({ user: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('DomainThrottleState', domainThrottleStateSchema);
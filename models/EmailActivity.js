@@ -27,12 +27,13 @@ const emailActivitySchema = new mongoose.Schema({
   emailDetails: {
     subject: { type: String, required: true },
     content: { type: String, required: true },
+    textContent: String,
     messageId: String,
     smtpConfig: String
   },
   status: {
     type: String,
-    enum: ['sent', 'delivered', 'opened', 'clicked', 'bounced', 'failed'],
+    enum: ['queued', 'sent', 'delivered', 'opened', 'clicked', 'bounced', 'failed'],
     default: 'sent'
   },
   tracking: {
@@ -43,6 +44,22 @@ const emailActivitySchema = new mongoose.Schema({
     bouncedAt: Date,
     opens: { type: Number, default: 0 },
     clicks: { type: Number, default: 0 },
+    humanOpens: { type: Number, default: 0 },
+    machineOpens: { type: Number, default: 0 },
+    humanClicks: { type: Number, default: 0 },
+    machineClicks: { type: Number, default: 0 },
+    lastMachineReason: String,
+    linkCount: Number,
+    signedLinks: { type: Boolean, default: false },
+    clickEvents: [{
+      url: String,
+      linkIndex: Number,
+      clickedAt: { type: Date, default: Date.now },
+      userAgent: String,
+      ipAddress: String,
+      isMachine: { type: Boolean, default: false },
+      machineReason: String
+    }],
     userAgent: String,
     ipAddress: String,
     location: {
@@ -56,10 +73,25 @@ const emailActivitySchema = new mongoose.Schema({
     errorMessage: String,
     deliveryStatus: String
   },
+  bounce: {
+    bounceType: { type: String, enum: ['hard', 'soft'] },
+    smtpCode: Number,
+    enhancedStatus: String,
+    diagnostic: String,
+    source: { type: String, enum: ['smtp', 'dsn', 'webhook'] },
+    receivedAt: Date
+  },
   metadata: {
     emailSize: Number,
-    attachments: [String],
+    attachments: [{
+      attachment: { type: mongoose.Schema.Types.ObjectId, ref: 'Attachment' },
+      filename: String,
+      contentType: String,
+      size: Number
+    }],
     tags: [String],
+    // A/B test variant name for campaign emails
+    variant: String,
     customFields: { type: Map, of: String }
   },
   createdAt: {
@@ -74,5 +106,6 @@ emailActivitySchema.index({ 'recipient.email': 1 });
 emailActivitySchema.index({ campaign: 1 });
 emailActivitySchema.index({ status: 1 });
 emailActivitySchema.index({ 'tracking.sentAt': -1 });
+emailActivitySchema.index({ 'emailDetails.messageId': 1 });
 
 module.exports = mongoose.model('EmailActivity', emailActivitySchema);
\ No newline at end of file
@@ -48,12 +48,57 @@ const smtpConfigSchema = new mongoose.Schema({
     default: false
   },
   lastTested: Date,
+  // Share of a pool's traffic under weighted rotation
+  weight: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Sending caps; null means no cap
+  limits: {
+    daily: { type: Number, default: null },
+    hourly: { type: Number, default: null }
+  },
+  // Warm-up ramp for new mailboxes: the daily cap starts at `startVolume`
+  // and grows by `dailyIncrease` (a fraction) each day until it reaches
+  // `limits.daily`
+  warmup: {
+    enabled: { type: Boolean, default: false },
+    startedAt: Date,
+    startVolume: { type: Number, default: 50, min: 1 },
+    dailyIncrease: { type: Number, default: 0.25, min: 0 }
+  },
+  // Counters for the current UTC day and hour
+  usage: {
+    day: String,
+    sentToday: { type: Number, default: 0 },
+    hour: String,
+    sentThisHour: { type: Number, default: 0 },
+    lastUsedAt: Date
+  },
+  // Set when the server rejects the login or throttles us; campaigns fail
+  // over to the other configs in their pool
+  health: {
+    status: { type: String, enum: ['healthy', 'throttled', 'auth_failed'], default: 'healthy' },
+    failures: { type: Number, default: 0 },
+    lastError: String,
+    lastErrorAt: Date,
+    pausedUntil: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Start the warm-up ramp when it is switched on
+smtpConfigSchema.pre('save', function(next) {
+  if (this.warmup.enabled && !this.warmup.startedAt) {
+    this.warmup.startedAt = new Date();
+  }
+  next();
+});
+
 // Index for faster queries
 smtpConfigSchema.index({ user: 1, isActive: 1 });
 
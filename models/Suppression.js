@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const suppressionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['unsubscribe', 'hard_bounce', 'complaint', 'manual'],
+    required: true
+  },
+  source: {
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    activity: { type: mongoose.Schema.Types.ObjectId, ref: 'EmailActivity' },
+    ipAddress: String,
+    userAgent: String
+  },
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+suppressionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One entry per address per user
+suppressionSchema.index({ user: 1, email: 1 }, { unique: true });
+suppressionSchema.index({ user: 1, reason: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -19,6 +19,8 @@ const templateSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Plain-text version; generated from `content` when empty
+  textContent: String,
   type: {
     type: String,
     enum: ['custom', 'system'],
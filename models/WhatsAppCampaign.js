@@ -62,7 +62,13 @@ const whatsappCampaignSchema = new mongoose.Schema({
     scheduledAt: Date,
     timezone: String,
     repeatType: { type: String, enum: ['none', 'daily', 'weekly', 'monthly'], default: 'none' },
-    repeatUntil: Date
+    repeatUntil: Date,
+    startAt: Date, // first occurrence of a recurring series
+    lastRunAt: Date
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppCampaign'
   },
   antiBlockSettings: {
     enabled: { type: Boolean, default: true },
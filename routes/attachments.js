@@ -0,0 +1,158 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { auth } = require('../middleware/auth');
+const Attachment = require('../models/Attachment');
+const Campaign = require('../models/Campaign');
+const AttachmentStore = require('../services/AttachmentStore');
+
+const router = express.Router();
+
+// Files are kept in memory until checked against the plan and de-duplicated
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AttachmentStore.maxUploadSize, files: 10 },
+  fileFilter: (req, file, cb) => {
+    const error = AttachmentStore.checkFile(req.user, file);
+    if (error) {
+      return cb(new Error(error));
+    }
+    cb(null, true);
+  }
+});
+
+// @route   POST /api/attachments/upload
+// @desc    Upload attachments for campaigns and single sends
+// @access  Private
+router.post('/upload', auth, (req, res) => {
+  upload.array('files', 10)(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({
+          success: false,
+          message: uploadError.code === 'LIMIT_FILE_SIZE'
+            ? `File exceeds the ${AttachmentStore.limitsFor(req.user).maxFileSize / (1024 * 1024)} MB attachment limit for your plan`
+            : uploadError.message
+        });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
+
+      // Multer's size limit is the largest any plan allows
+      for (const file of req.files) {
+        const error = AttachmentStore.checkFile(req.user, file);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error
+          });
+        }
+      }
+
+      const attachments = [];
+      for (const file of req.files) {
+        attachments.push(await AttachmentStore.save(req.user, file));
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Attachments uploaded successfully',
+        data: attachments.map(attachment => formatAttachment(attachment))
+      });
+    } catch (error) {
+      console.error('Upload attachments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+});
+
+// @route   GET /api/attachments
+// @desc    Get user's attachments and plan limits
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ user: req.user.id }).sort({ createdAt: -1 });
+    const limits = AttachmentStore.limitsFor(req.user);
+
+    res.json({
+      success: true,
+      data: attachments.map(attachment => formatAttachment(attachment)),
+      limits: {
+        maxFileSize: limits.maxFileSize,
+        maxFiles: limits.maxFiles,
+        maxTotalSize: limits.maxTotalSize,
+        allowedTypes: Object.keys(limits.types)
+      }
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/attachments/:id
+// @desc    Delete an attachment that no unsent campaign uses
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const attachment = mongoose.isValidObjectId(req.params.id)
+      ? await Attachment.findOne({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const inUse = await Campaign.exists({
+      attachments: attachment._id,
+      status: { $in: ['draft', 'scheduled', 'pending', 'sending', 'active', 'paused'] }
+    });
+
+    if (inUse) {
+      return res.status(409).json({
+        success: false,
+        message: 'Attachment is used by a campaign that has not finished sending'
+      });
+    }
+
+    await AttachmentStore.remove(attachment);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+function formatAttachment(attachment) {
+  return {
+    _id: attachment._id,
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    size: attachment.size,
+    usageCount: attachment.usageCount,
+    createdAt: attachment.createdAt
+  };
+}
+
+module.exports = router;
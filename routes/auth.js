@@ -5,6 +5,7 @@ const nodemailer = require('nodemailer');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const HtmlToText = require('../services/HtmlToText');
 
 const router = express.Router();
 
@@ -65,6 +66,8 @@ const sendVerificationEmail = async (user, token) => {
     `
   };
 
+  mailOptions.text = HtmlToText.convert(mailOptions.html);
+
   try {
     await transporter.sendMail(mailOptions);
     console.log('Verification email sent to:', user.email);
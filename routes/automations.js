@@ -0,0 +1,617 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Automation = require('../models/Automation');
+const AutomationEnrollment = require('../models/AutomationEnrollment');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const ContactList = require('../models/ContactList');
+const SMTPConfig = require('../models/SMTPConfig');
+const CampaignSender = require('../services/CampaignSender');
+const ContentLinter = require('../services/ContentLinter');
+const AutomationRunner = require('../services/AutomationRunner');
+const TemplateRenderer = require('../services/TemplateRenderer');
+const TemplateStore = require('../services/TemplateStore');
+
+const router = express.Router();
+
+const WAIT_UNITS = ['minutes', 'hours', 'days'];
+
+const automationRules = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Automation name is required'),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('trigger').optional().isObject().withMessage('Trigger must be an object'),
+  body('trigger.type').if(body('trigger').exists()).isIn(['list_join', 'tag_added']).withMessage('Invalid trigger type'),
+  body('trigger.contactList').optional({ nullable: true }).isMongoId().withMessage('Invalid contact list'),
+  body('trigger.tag').optional().trim().isLength({ min: 1 }).withMessage('Tag cannot be empty'),
+  body('smtpConfigId').optional().isMongoId().withMessage('Valid SMTP configuration is required'),
+  body('steps').optional().isArray({ min: 1, max: 50 }).withMessage('An automation needs 1 to 50 steps'),
+  body('steps.*.type').isIn(['email', 'wait', 'branch']).withMessage('Invalid step type')
+];
+
+// @route   GET /api/automations
+// @desc    Get user's automations
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const automations = await Automation.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('name description status trigger stats activatedAt createdAt updatedAt');
+
+    res.json({
+      success: true,
+      data: automations
+    });
+  } catch (error) {
+    console.error('Get automations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/automations
+// @desc    Create a draft automation
+// @access  Private
+router.post('/', [
+  auth,
+  ...automationRules,
+  body('name').exists().withMessage('Automation name is required'),
+  body('trigger').exists().withMessage('Trigger is required'),
+  body('smtpConfigId').exists().withMessage('Valid SMTP configuration is required'),
+  body('steps').exists().withMessage('At least one step is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const definition = await buildDefinition(req.body, req.user);
+    if (definition.error) {
+      return res.status(400).json({
+        success: false,
+        message: definition.error
+      });
+    }
+
+    const automation = new Automation({
+      user: req.user.id,
+      name: req.body.name,
+      description: req.body.description,
+      trigger: definition.trigger,
+      settings: definition.settings,
+      steps: definition.steps
+    });
+    await automation.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Automation created. Activate it to start enrolling contacts.',
+      data: automation
+    });
+  } catch (error) {
+    console.error('Create automation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/automations/:id
+// @desc    Get automation details with per-step stats
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const automation = await findAutomation(req.params.id, req.user.id);
+
+    if (!automation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation not found'
+      });
+    }
+
+    const data = automation.toObject();
+    const stats = await stepStats(automation);
+    data.steps = data.steps.map((step, index) => ({ index, ...step, stats: stats[index] }));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get automation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/automations/:id
+// @desc    Update an automation. Trigger, sender and steps can only change
+//          before it is first activated.
+// @access  Private
+router.put('/:id', [auth, ...automationRules], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const automation = await findAutomation(req.params.id, req.user.id);
+
+    if (!automation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation not found'
+      });
+    }
+
+    const { name, description, trigger, smtpConfigId, steps } = req.body;
+    const changesDefinition = trigger !== undefined || smtpConfigId !== undefined || steps !== undefined ||
+      req.body.customFromName !== undefined || req.body.customFromEmail !== undefined;
+
+    if (changesDefinition) {
+      // Contacts already enrolled hold a position in the steps
+      if (automation.activatedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Trigger, sender and steps cannot be changed once the automation has been activated'
+        });
+      }
+
+      const definition = await buildDefinition({
+        trigger: trigger || automation.toObject().trigger,
+        smtpConfigId: smtpConfigId || String(automation.settings.smtpConfigId),
+        steps: steps || automation.steps.map(step => step.toObject()),
+        // The sender address stays unless the SMTP configuration changes
+        customFromName: req.body.customFromName ?? (smtpConfigId ? undefined : automation.settings.fromName),
+        customFromEmail: req.body.customFromEmail ?? (smtpConfigId ? undefined : automation.settings.fromEmail)
+      }, req.user);
+      if (definition.error) {
+        return res.status(400).json({
+          success: false,
+          message: definition.error
+        });
+      }
+
+      automation.trigger = definition.trigger;
+      automation.settings = definition.settings;
+      automation.steps = definition.steps;
+    }
+
+    if (name !== undefined) automation.name = name;
+    if (description !== undefined) automation.description = description;
+    await automation.save();
+
+    res.json({
+      success: true,
+      message: 'Automation updated successfully',
+      data: automation
+    });
+  } catch (error) {
+    console.error('Update automation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/automations/:id/activate
+// @desc    Start enrolling contacts; optionally enroll those already matching the trigger
+// @access  Private
+router.post('/:id/activate', [
+  auth,
+  body('enrollExisting').optional().isBoolean().withMessage('enrollExisting must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const automation = await findAutomation(req.params.id, req.user.id);
+
+    if (!automation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation not found'
+      });
+    }
+
+    if (automation.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Automation is already active'
+      });
+    }
+
+    const smtpConfig = await SMTPConfig.findOne({
+      _id: automation.settings.smtpConfigId,
+      user: req.user.id,
+      isActive: true,
+      isVerified: true
+    });
+
+    if (!smtpConfig) {
+      return res.status(400).json({
+        success: false,
+        message: 'SMTP configuration not found or not verified'
+      });
+    }
+
+    // Each email step sends through a campaign of its own
+    const pendingSteps = automation.steps.filter(step => step.type === 'email' && !step.campaign);
+    const templates = new Map();
+    for (const step of pendingSteps) {
+      const template = await TemplateStore.find(step.templateId, req.user.id);
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: `Template for step ${automation.steps.indexOf(step) + 1} not found`
+        });
+      }
+      templates.set(step, template);
+    }
+
+    for (const step of pendingSteps) {
+      const index = automation.steps.indexOf(step);
+      const template = templates.get(step);
+
+      const campaign = new Campaign({
+        user: automation.user,
+        name: `${automation.name} - ${step.name || `Step ${index + 1}`}`.slice(0, 100),
+        type: 'email',
+        subject: step.subject,
+        content: template.content,
+        textContent: template.textContent || undefined,
+        settings: {
+          ...automation.toObject().settings,
+          templateId: template._id || step.templateId
+        },
+        automation: automation._id,
+        automationStep: index,
+        status: 'active'
+      });
+      campaign.contentCheck = ContentLinter.lintCampaign(campaign);
+      await campaign.save();
+      step.campaign = campaign._id;
+    }
+
+    automation.status = 'active';
+    if (!automation.activatedAt) automation.activatedAt = new Date();
+    await automation.save();
+
+    const enrolled = req.body.enrollExisting ? await AutomationRunner.enrollExisting(automation) : 0;
+
+    res.json({
+      success: true,
+      message: 'Automation activated',
+      data: {
+        automationId: automation._id,
+        status: automation.status,
+        enrolled
+      }
+    });
+  } catch (error) {
+    console.error('Activate automation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/automations/:id/pause
+// @desc    Stop enrolling and advancing contacts; emails already queued still go out
+// @access  Private
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const automation = mongoose.isValidObjectId(req.params.id)
+      ? await Automation.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.id, status: 'active' },
+        { $set: { status: 'paused', updatedAt: new Date() } },
+        { new: true }
+      )
+      : null;
+
+    if (!automation) {
+      const exists = mongoose.isValidObjectId(req.params.id) &&
+        await Automation.exists({ _id: req.params.id, user: req.user.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only active automations can be paused' : 'Automation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Automation paused. Contacts keep their place and continue when it is activated again.',
+      data: {
+        automationId: automation._id,
+        status: automation.status
+      }
+    });
+  } catch (error) {
+    console.error('Pause automation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/automations/:id/enrollments
+// @desc    Get contacts enrolled in an automation and their position
+// @access  Private
+router.get('/:id/enrollments', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, step } = req.query;
+
+    const automation = await findAutomation(req.params.id, req.user.id);
+
+    if (!automation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation not found'
+      });
+    }
+
+    const query = { automation: automation._id };
+    if (status) query.status = status;
+    if (step !== undefined) query.currentStep = parseInt(step);
+
+    const enrollments = await AutomationEnrollment.find(query)
+      .sort({ enrolledAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-data -lockedUntil');
+
+    const total = await AutomationEnrollment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: enrollments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get automation enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/automations/:id
+// @desc    Delete an automation and its enrollments. Step campaigns are kept
+//          for their reports; emails not yet sent are cancelled.
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const automation = await findAutomation(req.params.id, req.user.id);
+
+    if (!automation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation not found'
+      });
+    }
+
+    const campaigns = await Campaign.find({
+      automation: automation._id,
+      status: { $in: ['pending', 'sending', 'active', 'paused'] }
+    }).select('_id');
+
+    for (const campaign of campaigns) {
+      const unsent = Boolean(await CampaignRecipient.exists({ campaign: campaign._id, status: 'pending' }));
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        { $set: { status: unsent ? 'cancelled' : 'completed', completedAt: new Date(), updatedAt: new Date() } }
+      );
+      if (unsent) await CampaignSender.cancel(campaign._id);
+    }
+
+    await AutomationEnrollment.deleteMany({ automation: automation._id });
+    await Automation.deleteOne({ _id: automation._id });
+
+    res.json({
+      success: true,
+      message: 'Automation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete automation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+async function findAutomation(id, userId) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Automation.findOne({ _id: id, user: userId });
+}
+
+// Check the trigger, sender and steps of a create or update request.
+// Returns `{ trigger, settings, steps }` or `{ error }`.
+async function buildDefinition(request, user) {
+  const { trigger, smtpConfigId, customFromName, customFromEmail } = request;
+
+  if (trigger.type === 'list_join' && !trigger.contactList) {
+    return { error: 'A list trigger needs a contact list' };
+  }
+  if (trigger.type === 'tag_added' && !(trigger.tag && trigger.tag.trim())) {
+    return { error: 'A tag trigger needs a tag' };
+  }
+
+  if (trigger.contactList) {
+    const contactList = await ContactList.exists({ _id: trigger.contactList, user: user._id, isActive: true });
+    if (!contactList) return { error: 'Contact list not found' };
+  }
+
+  const smtpConfig = await SMTPConfig.findOne({
+    _id: smtpConfigId,
+    user: user._id,
+    isActive: true,
+    isVerified: true
+  });
+  if (!smtpConfig) return { error: 'SMTP configuration not found or not verified' };
+
+  const { steps, error } = validateSteps(request.steps);
+  if (error) return { error };
+
+  for (const [index, step] of steps.entries()) {
+    if (step.type !== 'email') continue;
+
+    const template = await TemplateStore.find(step.templateId, user._id);
+    if (!template) return { error: `Template for step ${index + 1} not found` };
+
+    const syntaxError = TemplateRenderer.syntaxError(step.subject, template.content, template.textContent || undefined);
+    if (syntaxError) return { error: `Step ${index + 1}: ${syntaxError}` };
+  }
+
+  return {
+    trigger: {
+      type: trigger.type,
+      contactList: trigger.contactList || undefined,
+      tag: trigger.type === 'tag_added' ? trigger.tag.trim() : undefined
+    },
+    settings: {
+      fromName: customFromName || smtpConfig.fromName,
+      fromEmail: customFromEmail || smtpConfig.fromEmail,
+      replyTo: customFromEmail || smtpConfig.fromEmail,
+      trackOpens: true,
+      trackClicks: true,
+      smtpConfigId: smtpConfig._id
+    },
+    steps
+  };
+}
+
+// Check the shape of each step. Steps are numbered from 0; `next`,
+// `ifTrue` and `ifFalse` may only point to a later step, or -1 to end the
+// sequence. A branch checks the nearest email step before it unless
+// `emailStep` says otherwise. Returns `{ steps }` or `{ error }`.
+function validateSteps(steps) {
+  const isTarget = (value, index) => value === undefined || value === null || value === -1 ||
+    (Number.isInteger(value) && value > index && value < steps.length);
+
+  const normalized = [];
+
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}`;
+    const targets = step.type === 'branch' ? [step.ifTrue, step.ifFalse] : [step.next];
+    if (!targets.every(target => isTarget(target, index))) {
+      return { error: `${label}: steps can only lead to a later step, or -1 to end the sequence` };
+    }
+
+    const base = { type: step.type, name: step.name };
+
+    if (step.type === 'email') {
+      if (typeof step.templateId !== 'string' || !step.templateId) return { error: `${label}: template is required` };
+      if (typeof step.subject !== 'string' || !step.subject.trim()) return { error: `${label}: subject is required` };
+      normalized.push({ ...base, templateId: step.templateId, subject: step.subject.trim(), next: step.next });
+    } else if (step.type === 'wait') {
+      const unit = step.unit || 'days';
+      if (!WAIT_UNITS.includes(unit)) return { error: `${label}: invalid wait unit` };
+      if (typeof step.duration !== 'number' || !(step.duration > 0)) return { error: `${label}: wait duration must be a positive number` };
+      normalized.push({ ...base, duration: step.duration, unit, next: step.next });
+    } else {
+      if (!['opened', 'clicked'].includes(step.condition)) return { error: `${label}: condition must be opened or clicked` };
+
+      let emailStep = step.emailStep;
+      if (emailStep === undefined || emailStep === null) {
+        emailStep = steps.slice(0, index).map(s => s.type).lastIndexOf('email');
+      }
+      if (!Number.isInteger(emailStep) || emailStep < 0 || emailStep >= index || steps[emailStep].type !== 'email') {
+        return { error: `${label}: a branch needs an earlier email step to check` };
+      }
+
+      normalized.push({
+        ...base,
+        condition: step.condition,
+        emailStep,
+        ifTrue: step.ifTrue,
+        ifFalse: step.ifFalse
+      });
+    }
+  }
+
+  return { steps: normalized };
+}
+
+// Per step: contacts currently on it, how many reached each result, and for
+// email steps the delivery and engagement of its campaign
+async function stepStats(automation) {
+  const [positions, results, campaigns] = await Promise.all([
+    AutomationEnrollment.aggregate([
+      { $match: { automation: automation._id, status: 'active' } },
+      { $group: { _id: '$currentStep', count: { $sum: 1 } } }
+    ]),
+    AutomationEnrollment.aggregate([
+      { $match: { automation: automation._id } },
+      { $unwind: '$history' },
+      { $group: { _id: { step: '$history.step', result: '$history.result' }, count: { $sum: 1 } } }
+    ]),
+    Campaign.find({ automation: automation._id }).select('automationStep status stats')
+  ]);
+
+  return automation.steps.map((step, index) => {
+    const position = positions.find(entry => entry._id === index);
+    const stats = {
+      current: position ? position.count : 0,
+      results: {}
+    };
+
+    results
+      .filter(entry => entry._id.step === index)
+      .forEach(entry => { stats.results[entry._id.result] = entry.count; });
+
+    if (step.type === 'email') {
+      const campaign = campaigns.find(c => c.automationStep === index);
+      stats.email = campaign
+        ? {
+          campaignId: campaign._id,
+          status: campaign.status,
+          recipients: campaign.stats.totalRecipients,
+          sent: campaign.stats.sent,
+          delivered: campaign.stats.delivered,
+          opened: campaign.stats.opened,
+          clicked: campaign.stats.clicked,
+          bounced: campaign.stats.bounced,
+          failed: campaign.stats.failed,
+          openRate: campaign.stats.openRate,
+          clickRate: campaign.stats.clickRate
+        }
+        : null;
+    }
+
+    return stats;
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const crypto = require('crypto');
+const BounceProcessor = require('../services/BounceProcessor');
+
+const router = express.Router();
+
+// @route   POST /api/bounces/inbound
+// @desc    Inbound bounce webhook. Accepts a raw DSN (message/rfc822 or
+//          text/plain body, or JSON `{ raw }`) or parsed JSON events
+//          `{ messageId, recipient, sender, smtpCode, enhancedStatus, diagnostic }`.
+//          Without a matching messageId, an event needs the `sender` address
+//          it was sent from to be matched.
+// @access  Public (shared secret)
+router.post('/inbound', express.text({ type: ['message/rfc822', 'text/plain'], limit: '10mb' }), async (req, res) => {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook secret'
+      });
+    }
+
+    let recorded = 0;
+
+    if (typeof req.body === 'string' || typeof req.body?.raw === 'string') {
+      recorded = await BounceProcessor.processRawMessage(typeof req.body === 'string' ? req.body : req.body.raw, 'webhook');
+    } else {
+      const events = Array.isArray(req.body?.events) ? req.body.events : [req.body];
+
+      for (const event of events) {
+        if (!event || (!event.messageId && !event.recipient)) continue;
+
+        const bounce = BounceProcessor.classify({
+          smtpCode: event.smtpCode,
+          enhancedStatus: event.enhancedStatus,
+          diagnostic: event.diagnostic
+        });
+        if (!bounce) continue;
+
+        const activity = await BounceProcessor.findActivity(event.messageId, event.recipient, event.sender);
+        if (activity && await BounceProcessor.recordBounce(activity, bounce, 'webhook')) recorded++;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { recorded }
+    });
+  } catch (error) {
+    console.error('Inbound bounce webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+function isAuthorized(req) {
+  const secret = process.env.BOUNCE_WEBHOOK_SECRET;
+  // Header only: a query-string secret would end up in access logs
+  const provided = req.get('x-webhook-secret');
+  if (!secret || !provided) return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(String(provided));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = router;
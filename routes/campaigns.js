@@ -1,30 +1,32 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
 const SMTPConfig = require('../models/SMTPConfig');
-const Template = require('../models/Template');
 const ContactList = require('../models/ContactList');
-const User = require('../models/User');
-const EmailActivity = require('../models/EmailActivity');
-const nodemailer = require('nodemailer');
-const crypto = require('crypto');
+const CampaignSender = require('../services/CampaignSender');
+const CampaignScheduler = require('../services/CampaignScheduler');
+const CampaignStats = require('../services/CampaignStats');
+const TemplateRenderer = require('../services/TemplateRenderer');
+const TemplateStore = require('../services/TemplateStore');
+const AttachmentStore = require('../services/AttachmentStore');
+const ContentLinter = require('../services/ContentLinter');
 
 const router = express.Router();
 
-// Decryption function for SMTP passwords
-const algorithm = 'aes-256-cbc';
-const secretKey = process.env.ENCRYPTION_KEY || crypto.randomBytes(32);
-
-function decrypt(text) {
-  const textParts = text.split(':');
-  const iv = Buffer.from(textParts.shift(), 'hex');
-  const encryptedText = textParts.join(':');
-  const decipher = crypto.createDecipher(algorithm, secretKey);
-  let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
+// Largest page of recipients one request returns
+const MAX_RECIPIENTS_PAGE = 200;
+
+// Stand-in contact for test sends that don't use a real recipient
+const SAMPLE_CONTACT = {
+  email: 'sample@example.com',
+  firstName: 'Alex',
+  lastName: 'Sample',
+  company: 'Example Co',
+  phone: '+1 555 0100'
+};
 
 // @route   POST /api/campaigns/create
 // @desc    Create new email campaign
@@ -33,10 +35,29 @@ router.post('/create', [
   auth,
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Campaign name is required'),
   body('subject').trim().isLength({ min: 1 }).withMessage('Subject is required'),
-  body('smtpConfigId').isMongoId().withMessage('Valid SMTP configuration is required'),
+  body('smtpConfigId').if(body('smtpConfigIds').not().exists()).isMongoId().withMessage('Valid SMTP configuration is required'),
+  body('smtpConfigIds').optional().isArray({ min: 1 }).withMessage('SMTP configurations must be a non-empty array')
+    .custom(ids => ids.every(id => mongoose.isValidObjectId(id))).withMessage('Invalid SMTP configuration'),
+  body('rotation').optional().isIn(['round_robin', 'weighted']).withMessage('Invalid rotation'),
   body('templateId').isLength({ min: 1 }).withMessage('Template is required'),
   body('contactListId').isMongoId().withMessage('Valid contact list is required'),
-  body('scheduleType').isIn(['now', 'scheduled']).withMessage('Invalid schedule type')
+  body('scheduleType').isIn(['now', 'scheduled', 'best_time']).withMessage('Invalid schedule type'),
+  body('scheduledAt').if(body('scheduleType').equals('scheduled')).notEmpty().withMessage('Schedule time is required'),
+  body('timezone').optional().custom(value => CampaignScheduler.isValidTimezone(value)).withMessage('Invalid timezone'),
+  body('repeatType').optional().isIn(['none', 'daily', 'weekly', 'monthly']).withMessage('Invalid repeat type'),
+  body('repeatUntil').optional().isISO8601().withMessage('Invalid repeat end date'),
+  body('variables').optional().isObject().withMessage('Variables must be an object of strings')
+    .custom(value => Object.values(value).every(v => typeof v === 'string' || typeof v === 'number'))
+    .withMessage('Variables must be an object of strings'),
+  body('mergeFieldCheck').optional().isIn(['warn', 'block']).withMessage('Invalid merge field check mode'),
+  body('textContent').optional().isString().withMessage('Text content must be a string'),
+  body('attachmentIds').optional().isArray().withMessage('Attachment ids must be an array'),
+  body('abTest').optional().isObject().withMessage('A/B test must be an object'),
+  body('abTest.field').if(body('abTest').exists()).isIn(['subject', 'fromName', 'content']).withMessage('Invalid A/B test field'),
+  body('abTest.variants').if(body('abTest').exists()).isArray({ min: 2, max: 5 }).withMessage('An A/B test needs 2 to 5 variants'),
+  body('abTest.samplePercentage').optional().isInt({ min: 1, max: 100 }).withMessage('Sample percentage must be between 1 and 100'),
+  body('abTest.waitHours').optional().isFloat({ min: 0, max: 168 }).withMessage('Wait time must be between 0 and 168 hours'),
+  body('abTest.winnerMetric').optional().isIn(['open_rate', 'click_rate']).withMessage('Invalid winner metric')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -48,167 +69,1193 @@ router.post('/create', [
       });
     }
 
-    const {
-      name,
-      subject,
-      smtpConfigId,
-      templateId,
-      contactListId,
-      scheduleType,
-      scheduledAt,
-      customFromName,
-      customFromEmail
-    } = req.body;
+    const launch = await prepareLaunch(req.body, req.user);
+    if (launch.error) {
+      return res.status(launch.status || 400).json({
+        success: false,
+        message: launch.error,
+        ...(launch.data && { data: launch.data })
+      });
+    }
 
-    const userId = req.user.id;
+    const campaign = new Campaign({ user: req.user.id, ...launch.fields });
+    campaign.contentCheck = ContentLinter.lintCampaign(campaign);
+    await campaign.saveWithRecipients(launch.recipients);
+    await AttachmentStore.markUsed(launch.attachments);
 
-    // Validate SMTP configuration
-    const smtpConfig = await SMTPConfig.findOne({
-      _id: smtpConfigId,
-      user: userId,
-      isActive: true,
-      isVerified: true
+    // If sending now, hand the campaign to the delivery queue
+    if (!campaign.schedule.isScheduled) {
+      await CampaignSender.enqueue(campaign);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: campaign.schedule.isScheduled ? 'Campaign scheduled successfully' : 'Campaign created and sending started',
+      data: {
+        campaignId: campaign._id,
+        name: campaign.name,
+        recipientCount: campaign.stats.totalRecipients,
+        status: campaign.status,
+        scheduledAt: campaign.schedule.scheduledAt,
+        mergeFields: launch.mergeFields,
+        contentCheck: campaign.contentCheck
+      }
+    });
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Draft fields are all optional and only checked for format. Whether the
+// SMTP configuration, template and contact list exist is checked at launch.
+const draftFields = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Campaign name must be 1 to 100 characters'),
+  body('subject').optional({ nullable: true }).isString().withMessage('Subject must be a string'),
+  body('smtpConfigId').optional({ nullable: true }).isMongoId().withMessage('Invalid SMTP configuration'),
+  body('smtpConfigIds').optional().isArray({ min: 1 }).withMessage('SMTP configurations must be a non-empty array')
+    .custom(ids => ids.every(id => mongoose.isValidObjectId(id))).withMessage('Invalid SMTP configuration'),
+  body('rotation').optional().isIn(['round_robin', 'weighted']).withMessage('Invalid rotation'),
+  body('templateId').optional({ nullable: true }).isString().withMessage('Invalid template'),
+  body('content').optional({ nullable: true }).isString().withMessage('Content must be a string'),
+  body('textContent').optional({ nullable: true }).isString().withMessage('Text content must be a string'),
+  body('contactListId').optional({ nullable: true }).isMongoId().withMessage('Invalid contact list'),
+  body('scheduleType').optional().isIn(['now', 'scheduled', 'best_time']).withMessage('Invalid schedule type'),
+  body('timezone').optional().custom(value => CampaignScheduler.isValidTimezone(value)).withMessage('Invalid timezone'),
+  body('repeatType').optional().isIn(['none', 'daily', 'weekly', 'monthly']).withMessage('Invalid repeat type'),
+  body('repeatUntil').optional({ nullable: true }).isISO8601().withMessage('Invalid repeat end date'),
+  body('variables').optional().isObject().withMessage('Variables must be an object of strings')
+    .custom(value => Object.values(value).every(v => typeof v === 'string' || typeof v === 'number'))
+    .withMessage('Variables must be an object of strings'),
+  body('attachmentIds').optional().isArray().withMessage('Attachment ids must be an array')
+    .custom(ids => ids.every(id => mongoose.isValidObjectId(id))).withMessage('Invalid attachment id'),
+  body('customFromName').optional({ nullable: true }).isString().withMessage('From name must be a string'),
+  body('customFromEmail').optional({ nullable: true }).isEmail().withMessage('Invalid from email'),
+  body('abTest').optional({ nullable: true }).isObject().withMessage('A/B test must be an object'),
+  body('abTest.field').optional().isIn(['subject', 'fromName', 'content']).withMessage('Invalid A/B test field'),
+  body('abTest.variants').optional().isArray({ max: 5 }).withMessage('An A/B test can have up to 5 variants'),
+  body('abTest.samplePercentage').optional().isInt({ min: 1, max: 100 }).withMessage('Sample percentage must be between 1 and 100'),
+  body('abTest.waitHours').optional().isFloat({ min: 0, max: 168 }).withMessage('Wait time must be between 0 and 168 hours'),
+  body('abTest.winnerMetric').optional().isIn(['open_rate', 'click_rate']).withMessage('Invalid winner metric')
+];
+
+// @route   POST /api/campaigns/drafts
+// @desc    Save a campaign as a draft; any field can be left out until launch
+// @access  Private
+router.post('/drafts', [auth, ...draftFields], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = new Campaign({
+      user: req.user.id,
+      name: req.body.name || 'Untitled campaign',
+      type: 'email',
+      schedule: { timezone: req.body.timezone || req.user.settings?.timezone || 'UTC' },
+      status: 'draft'
+    });
+
+    const draftError = applyDraftFields(campaign, req.body);
+    if (draftError) {
+      return res.status(400).json({
+        success: false,
+        message: draftError
+      });
+    }
+
+    if (campaign.content) {
+      campaign.contentCheck = ContentLinter.lintCampaign(campaign);
+    }
+    await campaign.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft saved',
+      data: {
+        campaign: await campaign.withRecipients(req.query.recipientLimit),
+        missing: missingForLaunch(campaign)
+      }
+    });
+  } catch (error) {
+    console.error('Create draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/campaigns/:id
+// @desc    Edit a draft; only the fields sent are changed, null clears one
+// @access  Private
+router.put('/:id', [auth, ...draftFields], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (campaign.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only drafts can be edited. Pause a sending campaign to edit its content.'
+      });
+    }
+
+    const draftError = applyDraftFields(campaign, req.body);
+    if (draftError) {
+      return res.status(400).json({
+        success: false,
+        message: draftError
+      });
+    }
+
+    // Recipients copied from a duplicated campaign give way to the list
+    if (req.body.contactListId) {
+      await CampaignRecipient.deleteMany({ campaign: campaign._id });
+      campaign.stats.totalRecipients = 0;
+    }
+
+    campaign.contentCheck = campaign.content ? ContentLinter.lintCampaign(campaign) : undefined;
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Draft updated',
+      data: {
+        campaign: await campaign.withRecipients(req.query.recipientLimit),
+        missing: missingForLaunch(campaign)
+      }
+    });
+  } catch (error) {
+    console.error('Update draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/duplicate
+// @desc    Copy a campaign's content, settings and audience into a new draft
+// @access  Private
+router.post('/:id/duplicate', [
+  auth,
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Campaign name must be 1 to 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const source = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (source.automation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Automation emails are edited in their automation'
+      });
+    }
+
+    const { settings, schedule, abTest } = source.toObject();
+
+    // The audience is the same contact list, re-read at launch so it picks
+    // up contacts added since. Campaigns without a list, like follow-ups,
+    // keep their recipient addresses.
+    const recipients = settings.contactListId
+      ? []
+      : (await CampaignRecipient.find({ campaign: source._id }).select('email name data').lean())
+        .map(({ email, name, data }) => ({ email, name, status: 'pending', data }));
+
+    const campaign = new Campaign({
+      user: req.user.id,
+      name: req.body.name || `${source.name} (copy)`.slice(0, 100),
+      type: 'email',
+      subject: source.subject,
+      content: source.content,
+      textContent: source.textContent,
+      attachments: source.attachments,
+      variables: source.variables,
+      settings,
+      // The schedule starts over: send now unless the draft is given a time
+      schedule: {
+        timezone: schedule.timezone,
+        optimizeSendTime: schedule.optimizeSendTime
+      },
+      abTest: abTest && abTest.enabled
+        ? {
+          enabled: true,
+          field: abTest.field,
+          samplePercentage: abTest.samplePercentage,
+          waitHours: abTest.waitHours,
+          winnerMetric: abTest.winnerMetric,
+          variants: abTest.variants.map(({ _id, ...variant }) => variant)
+        }
+        : undefined,
+      status: 'draft'
+    });
+
+    campaign.contentCheck = ContentLinter.lintCampaign(campaign);
+    await campaign.saveWithRecipients(recipients);
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign duplicated as a draft',
+      data: {
+        campaign: await campaign.withRecipients(req.query.recipientLimit),
+        missing: missingForLaunch(campaign)
+      }
+    });
+  } catch (error) {
+    console.error('Duplicate campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/launch
+// @desc    Send or schedule a draft, checking it like a new campaign
+// @access  Private
+router.post('/:id/launch', [
+  auth,
+  body('mergeFieldCheck').optional().isIn(['warn', 'block']).withMessage('Invalid merge field check mode')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (campaign.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only drafts can be launched'
+      });
+    }
+
+    const missing = missingForLaunch(campaign);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The draft is missing: ${missing.join(', ')}`,
+        data: { missing }
+      });
+    }
+
+    const launch = await prepareLaunch(
+      { ...draftRequest(campaign), mergeFieldCheck: req.body.mergeFieldCheck },
+      req.user,
+      campaign
+    );
+    if (launch.error) {
+      return res.status(launch.status || 400).json({
+        success: false,
+        message: launch.error,
+        ...(launch.data && { data: launch.data })
+      });
+    }
+
+    // Only one launch request gets to send the draft
+    const claimed = await Campaign.updateOne(
+      { _id: campaign._id, status: 'draft' },
+      { $set: { status: 'pending', updatedAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The draft has already been launched'
+      });
+    }
+
+    campaign.set(launch.fields);
+    campaign.contentCheck = ContentLinter.lintCampaign(campaign);
+    // The audience is read again at launch, replacing what the draft held.
+    // The draft's recipients are kept until the launch has saved, and put
+    // back if it doesn't: a duplicate's audience may exist nowhere else.
+    let previous = null;
+    try {
+      await campaign.validate();
+      previous = await CampaignRecipient.find({ campaign: campaign._id }).lean();
+      await CampaignRecipient.deleteMany({ campaign: campaign._id });
+      campaign.stats.totalRecipients = await CampaignRecipient.insertForCampaign(campaign._id, launch.recipients);
+      await campaign.save();
+    } catch (error) {
+      if (previous) {
+        await CampaignRecipient.deleteMany({ campaign: campaign._id });
+        if (previous.length > 0) await CampaignRecipient.insertMany(previous);
+      }
+      await Campaign.updateOne({ _id: campaign._id }, { $set: { status: 'draft' } });
+      await CampaignStats.recount(campaign._id);
+      throw error;
+    }
+    await AttachmentStore.markUsed(launch.attachments);
+
+    if (!campaign.schedule.isScheduled) {
+      await CampaignSender.enqueue(campaign);
+    }
+
+    res.json({
+      success: true,
+      message: campaign.schedule.isScheduled ? 'Campaign scheduled successfully' : 'Campaign launched and sending started',
+      data: {
+        campaignId: campaign._id,
+        name: campaign.name,
+        recipientCount: campaign.stats.totalRecipients,
+        status: campaign.status,
+        scheduledAt: campaign.schedule.scheduledAt,
+        mergeFields: launch.mergeFields,
+        contentCheck: campaign.contentCheck
+      }
+    });
+  } catch (error) {
+    console.error('Launch draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/content-check
+// @desc    Spam-risk score and content findings for a subject and a template or HTML content
+// @access  Private
+router.post('/content-check', [
+  auth,
+  body('subject').optional().isString().withMessage('Subject must be a string'),
+  body('templateId').optional().isLength({ min: 1 }).withMessage('Invalid template'),
+  body('content').optional().isString().withMessage('Content must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { templateId } = req.body;
+    if (!templateId && req.body.content === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template or content is required'
+      });
+    }
+
+    let template = null;
+    if (templateId) {
+      template = await TemplateStore.find(templateId, req.user.id);
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: ContentLinter.lint({
+        subject: req.body.subject !== undefined ? req.body.subject : (template && template.subject) || '',
+        html: req.body.content !== undefined ? req.body.content : template.content
+      })
     });
+  } catch (error) {
+    console.error('Content check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/merge-fields/check
+// @desc    Report merge fields a template uses that contacts in a list lack
+// @access  Private
+router.post('/merge-fields/check', [
+  auth,
+  body('templateId').isLength({ min: 1 }).withMessage('Template is required'),
+  body('contactListId').isMongoId().withMessage('Valid contact list is required'),
+  body('smtpConfigId').optional().isMongoId().withMessage('Invalid SMTP configuration'),
+  body('subject').optional().isString(),
+  body('variables').optional().isObject().withMessage('Variables must be an object of strings')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { templateId, contactListId, smtpConfigId, variables = {} } = req.body;
+
+    const template = await TemplateStore.find(templateId, req.user.id);
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const subject = req.body.subject !== undefined ? req.body.subject : template.subject;
+    const syntaxError = TemplateRenderer.syntaxError(subject, template.content, template.textContent);
+    if (syntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: syntaxError
+      });
+    }
+
+    const contactList = await ContactList.findOne({
+      _id: contactListId,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!contactList) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact list not found'
+      });
+    }
+
+    const recipients = contactList.contacts
+      .filter(contact => contact.validationStatus === 'valid' || !contact.isValidated)
+      .map(contact => Campaign.recipientFromContact(contact));
+
+    // The sender's name backs {{company_name}} and {{from_name}}
+    const smtpConfig = smtpConfigId
+      ? await SMTPConfig.findOne({ _id: smtpConfigId, user: req.user.id })
+      : null;
+
+    res.json({
+      success: true,
+      data: mergeFieldReport([subject, template.content, template.textContent], recipients, {
+        variables,
+        settings: smtpConfig ? { fromName: smtpConfig.fromName, fromEmail: smtpConfig.fromEmail } : {}
+      })
+    });
+  } catch (error) {
+    console.error('Check merge fields error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/campaigns
+// @desc    Get user's campaigns
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, type = 'email' } = req.query;
+    
+    // Automation step campaigns are listed under their automation
+    const query = { user: req.user.id, type, automation: null };
+    if (status) query.status = status;
+    
+    const campaigns = await Campaign.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('name subject status stats schedule createdAt sentAt completedAt');
+    
+    const total = await Campaign.countDocuments(query);
+    
+    res.json({
+      success: true,
+      data: campaigns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/campaigns/:id
+// @desc    Get campaign details
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+    
+    const data = await campaign.withRecipients(req.query.recipientLimit);
+    if (campaign.abTest && campaign.abTest.enabled) {
+      data.abTest.results = await campaign.abTestResults();
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/campaigns/:id/recipients
+// @desc    Get a page of the campaign's recipients, optionally by status
+// @access  Private
+router.get('/:id/recipients', auth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), MAX_RECIPIENTS_PAGE);
+    const { status } = req.query;
+
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).select('_id');
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const query = { campaign: campaign._id };
+    if (status) query.status = status;
+
+    const recipients = await CampaignRecipient.find(query)
+      .sort({ _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-campaign -__v')
+      .lean();
+
+    const total = await CampaignRecipient.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: recipients,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get campaign recipients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/test
+// @desc    Send a test of the campaign to up to 10 seed addresses
+// @access  Private
+router.post('/:id/test', [
+  auth,
+  body('emails').isArray({ min: 1, max: 10 }).withMessage('Between 1 and 10 test addresses are required'),
+  body('emails.*').isEmail().withMessage('Valid email is required for each test address'),
+  body('recipientEmail').optional().isEmail().withMessage('Invalid sample recipient'),
+  body('sampleData').optional().isObject().withMessage('Sample data must be an object'),
+  body('variant').optional().isInt({ min: 0 }).withMessage('Invalid variant')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { emails, recipientEmail, sampleData, variant } = req.body;
+
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (campaign.type !== 'email') {
+      return res.status(400).json({
+        success: false,
+        message: 'Test sends are only available for email campaigns'
+      });
+    }
+
+    // Drafts may not have these yet
+    if (!campaign.subject || !campaign.content || !campaign.settings.smtpConfigId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a subject, content and SMTP configuration before sending a test'
+      });
+    }
+
+    // Render for one of the campaign's recipients, or for made-up data
+    let recipient;
+    if (recipientEmail) {
+      const match = await CampaignRecipient.findOne({
+        campaign: campaign._id,
+        email: CampaignRecipient.normalizeEmail(recipientEmail)
+      }).lean();
+      if (!match) {
+        return res.status(400).json({
+          success: false,
+          message: 'Sample recipient is not in this campaign'
+        });
+      }
+      recipient = match;
+    } else {
+      const data = { ...SAMPLE_CONTACT, ...sampleData };
+      recipient = {
+        email: data.email || SAMPLE_CONTACT.email,
+        name: `${data.firstName || ''} ${data.lastName || ''}`.trim(),
+        data: { ...data, customFields: data.customFields || {} }
+      };
+    }
+
+    if (variant !== undefined) {
+      if (!campaign.abTest || !campaign.abTest.enabled || variant >= campaign.abTest.variants.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid variant'
+        });
+      }
+      recipient.variant = variant;
+    } else if (campaign.abTest && campaign.abTest.enabled && recipient.variant == null) {
+      recipient.variant = campaign.abTest.winner != null ? campaign.abTest.winner : 0;
+    }
+
+    const { results, error } = await CampaignSender.sendTest(campaign, recipient, [...new Set(emails.map(email => email.toLowerCase()))]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const sent = results.filter(result => result.status === 'sent').length;
+    res.status(sent > 0 ? 200 : 400).json({
+      success: sent > 0,
+      message: sent > 0
+        ? `Test email sent to ${sent} of ${results.length} address(es)`
+        : `Test send failed: ${results[0].error}`,
+      data: {
+        sample: { email: recipient.email, name: recipient.name },
+        variant: recipient.variant != null ? campaign.abTest.variants[recipient.variant].name : undefined,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Test send campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/content-check
+// @desc    Re-run the content check on a campaign and store the result
+// @access  Private
+router.post('/:id/content-check', auth, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).select('type subject content abTest');
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (campaign.type !== 'email') {
+      return res.status(400).json({
+        success: false,
+        message: 'Content checks are only available for email campaigns'
+      });
+    }
+
+    const contentCheck = ContentLinter.lintCampaign(campaign);
+    await Campaign.updateOne({ _id: campaign._id }, { $set: { contentCheck } });
+
+    res.json({
+      success: true,
+      data: contentCheck
+    });
+  } catch (error) {
+    console.error('Campaign content check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/cancel
+// @desc    Cancel scheduled campaign
+// @access  Private
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+    
+    if (!['scheduled', 'pending', 'sending', 'paused'].includes(campaign.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Campaign cannot be cancelled in current status'
+      });
+    }
+    
+    campaign.status = 'cancelled';
+    await campaign.save();
+    await CampaignSender.cancel(campaign._id);
+    
+    res.json({
+      success: true,
+      message: 'Campaign cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/pause
+// @desc    Pause a sending campaign after the current batch
+// @access  Private
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        user: req.user.id,
+        status: { $in: ['pending', 'sending'] }
+      },
+      { $set: { status: 'paused', pausedAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!campaign) {
+      const exists = await Campaign.exists({ _id: req.params.id, user: req.user.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only pending or sending campaigns can be paused' : 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign paused. Sending stops after the current batch.',
+      data: {
+        campaignId: campaign._id,
+        status: campaign.status,
+        stats: campaign.stats
+      }
+    });
+  } catch (error) {
+    console.error('Pause campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/resume
+// @desc    Resume a paused campaign
+// @access  Private
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const existing = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).select('status sentAt automation');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    // A campaign paused before its first batch goes back to pending
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: existing._id, status: 'paused' },
+      {
+        $set: { status: resumedStatus(existing), updatedAt: new Date() },
+        $unset: { pausedAt: '', error: '' }
+      },
+      { new: true }
+    );
+
+    if (!campaign) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paused campaigns can be resumed'
+      });
+    }
+
+    await CampaignSender.enqueue(campaign);
+
+    res.json({
+      success: true,
+      message: 'Campaign resumed',
+      data: {
+        campaignId: campaign._id,
+        status: campaign.status,
+        stats: campaign.stats
+      }
+    });
+  } catch (error) {
+    console.error('Resume campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/retry-failed
+// @desc    Queue the campaign's failed recipients for another attempt
+// @access  Private
+router.post('/:id/retry-failed', auth, async (req, res) => {
+  try {
+    const existing = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).select('type status sentAt automation');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (existing.type !== 'email' || !['completed', 'failed', 'sending', 'active', 'paused'].includes(existing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed recipients can only be retried on sent, sending, active or paused email campaigns'
+      });
+    }
+
+    const result = await CampaignRecipient.updateMany(
+      { campaign: existing._id, status: 'failed' },
+      {
+        $set: { status: 'pending', retryCount: 0 },
+        $unset: { attemptedAt: '', nextAttemptAt: '', firstRetryAt: '', errorMessage: '' },
+        $push: { retryHistory: { type: 'manual', at: new Date() } }
+      }
+    );
+    const failedCount = result.modifiedCount;
+    if (failedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No failed recipients to retry'
+      });
+    }
+    await CampaignStats.recount(existing._id);
+
+    // Finished campaigns go back to sending; a paused one waits for resume.
+    // Matched on the finished statuses rather than the one read above, so a
+    // campaign that finished in between still picks up the retried recipients.
+    await Campaign.updateOne(
+      { _id: existing._id, status: { $in: ['completed', 'failed'] } },
+      {
+        $set: { status: resumedStatus(existing), updatedAt: new Date() },
+        $unset: { completedAt: '', error: '' }
+      }
+    );
+
+    const campaign = await Campaign.findById(existing._id);
+
+    if (campaign.status !== 'paused') {
+      await CampaignSender.enqueue(campaign);
+    }
+
+    res.json({
+      success: true,
+      message: campaign.status === 'paused'
+        ? `${failedCount} failed recipient(s) will be retried when the campaign is resumed`
+        : `${failedCount} failed recipient(s) queued for retry`,
+      data: {
+        campaignId: campaign._id,
+        status: campaign.status,
+        retried: failedCount,
+        stats: campaign.stats
+      }
+    });
+  } catch (error) {
+    console.error('Retry failed recipients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/follow-up
+// @desc    Create a follow-up campaign for recipients of a completed campaign, by engagement
+// @access  Private
+router.post('/:id/follow-up', [
+  auth,
+  body('audience').isIn(Campaign.followUpAudiences).withMessage('Invalid audience'),
+  body('subject').trim().isLength({ min: 1 }).withMessage('Subject is required'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid campaign name'),
+  body('templateId').optional().isLength({ min: 1 }).withMessage('Invalid template'),
+  body('content').optional().isString().withMessage('Content must be a string'),
+  body('textContent').optional().isString().withMessage('Text content must be a string'),
+  body('scheduleType').optional().isIn(['now', 'scheduled']).withMessage('Invalid schedule type'),
+  body('scheduledAt').if(body('scheduleType').equals('scheduled')).notEmpty().withMessage('Schedule time is required'),
+  body('timezone').optional().custom(value => CampaignScheduler.isValidTimezone(value)).withMessage('Invalid timezone'),
+  body('variables').optional().isObject().withMessage('Variables must be an object of strings')
+    .custom(value => Object.values(value).every(v => typeof v === 'string' || typeof v === 'number'))
+    .withMessage('Variables must be an object of strings')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { audience, subject, name, templateId, scheduleType = 'now', scheduledAt, timezone, variables } = req.body;
+
+    const parent = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
 
-    if (!smtpConfig) {
+    if (parent.type !== 'email' || !['completed', 'sent'].includes(parent.status)) {
       return res.status(400).json({
         success: false,
-        message: 'SMTP configuration not found or not verified'
+        message: 'Follow-ups can only be created for completed email campaigns'
       });
     }
 
-    // Validate template
-    let template;
-    if (templateId.startsWith('system_')) {
-      // Handle system templates (you'd need to import the system templates here)
-      const systemTemplates = require('./templates').systemTemplates;
-      template = systemTemplates.find(t => t._id === templateId);
-    } else {
-      template = await Template.findOne({
-        _id: templateId,
-        user: userId
-      });
+    // Content comes from the request, a template, or the parent campaign
+    let template = null;
+    if (templateId) {
+      template = await TemplateStore.find(templateId, req.user.id);
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
     }
 
-    if (!template) {
+    const content = req.body.content || (template ? template.content : parent.content);
+    const textContent = req.body.textContent ||
+      (template ? template.textContent : (req.body.content ? undefined : parent.textContent)) ||
+      undefined;
+
+    const syntaxError = TemplateRenderer.syntaxError(subject, content, textContent);
+    if (syntaxError) {
       return res.status(400).json({
         success: false,
-        message: 'Template not found'
+        message: syntaxError
       });
     }
 
-    // Validate contact list
-    const contactList = await ContactList.findOne({
-      _id: contactListId,
-      user: userId,
-      isActive: true
-    });
-
-    if (!contactList) {
-      return res.status(400).json({
-        success: false,
-        message: 'Contact list not found'
-      });
+    let scheduledDate = null;
+    if (scheduleType === 'scheduled') {
+      scheduledDate = CampaignScheduler.parseScheduledAt(scheduledAt, timezone);
+      if (!scheduledDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid schedule time'
+        });
+      }
     }
 
-    // Filter valid contacts
-    const validContacts = contactList.contacts.filter(
-      contact => contact.validationStatus === 'valid' || !contact.isValidated
-    );
+    const recipients = (await Campaign.followUpRecipients(parent, audience).select('email name data').lean())
+      .map(({ email, name: recipientName, data }) => ({ email, name: recipientName, status: 'pending', data }));
 
-    if (validContacts.length === 0) {
+    if (recipients.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'No valid contacts found in the selected list'
+        message: 'No recipients of this campaign match the audience'
       });
     }
 
-    // Create campaign
+    const { settings } = parent.toObject();
+    const campaignVariables = variables
+      ? Object.fromEntries(Object.entries(variables).map(([key, value]) => [key, String(value)]))
+      : parent.variables;
+
+    const mergeFields = mergeFieldReport([subject, content, textContent], recipients, {
+      name: name || parent.name,
+      variables: campaignVariables,
+      settings
+    });
+
     const campaign = new Campaign({
-      user: userId,
-      name,
+      user: req.user.id,
+      name: name || `${parent.name} (follow-up)`,
       type: 'email',
       subject,
-      content: template.content,
-      recipients: validContacts.map(contact => ({
-        email: contact.email,
-        name: `${contact.firstName} ${contact.lastName}`.trim(),
-        status: 'pending'
-      })),
+      content,
+      textContent,
+      attachments: parent.attachments,
+      variables: campaignVariables,
       settings: {
-        fromName: customFromName || smtpConfig.fromName,
-        fromEmail: customFromEmail || smtpConfig.fromEmail,
-        replyTo: customFromEmail || smtpConfig.fromEmail,
-        trackOpens: true,
-        trackClicks: true,
-        smtpConfigId: smtpConfig._id,
-        templateId: template._id || templateId,
-        contactListId: contactList._id
+        ...settings,
+        templateId: template ? template._id || templateId : settings.templateId
       },
       schedule: {
         isScheduled: scheduleType === 'scheduled',
-        scheduledAt: scheduleType === 'scheduled' ? new Date(scheduledAt) : null
+        scheduledAt: scheduledDate,
+        timezone: timezone || parent.schedule.timezone || 'UTC',
+        repeatType: 'none',
+        startAt: scheduledDate
       },
+      parent: parent._id,
+      followUp: { audience },
       status: scheduleType === 'scheduled' ? 'scheduled' : 'pending'
     });
 
-    await campaign.save();
+    campaign.contentCheck = ContentLinter.lintCampaign(campaign);
+    await campaign.saveWithRecipients(recipients);
+    await AttachmentStore.markUsed(parent.attachments.map(_id => ({ _id })));
 
-    // If sending now, start processing
     if (scheduleType === 'now') {
-      processCampaign(campaign._id);
+      await CampaignSender.enqueue(campaign);
     }
 
     res.status(201).json({
       success: true,
-      message: scheduleType === 'scheduled' ? 'Campaign scheduled successfully' : 'Campaign created and sending started',
+      message: scheduleType === 'scheduled' ? 'Follow-up scheduled successfully' : 'Follow-up created and sending started',
       data: {
         campaignId: campaign._id,
+        parent: parent._id,
         name: campaign.name,
-        recipientCount: validContacts.length,
+        audience,
+        recipientCount: campaign.stats.totalRecipients,
         status: campaign.status,
-        scheduledAt: campaign.schedule.scheduledAt
-      }
-    });
-  } catch (error) {
-    console.error('Create campaign error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-});
-
-// @route   GET /api/campaigns
-// @desc    Get user's campaigns
-// @access  Private
-router.get('/', auth, async (req, res) => {
-  try {
-    const { page = 1, limit = 10, status, type = 'email' } = req.query;
-    
-    const query = { user: req.user.id, type };
-    if (status) query.status = status;
-    
-    const campaigns = await Campaign.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('name subject status stats schedule createdAt sentAt completedAt');
-    
-    const total = await Campaign.countDocuments(query);
-    
-    res.json({
-      success: true,
-      data: campaigns,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+        scheduledAt: campaign.schedule.scheduledAt,
+        mergeFields,
+        contentCheck: campaign.contentCheck
       }
     });
   } catch (error) {
-    console.error('Get campaigns error:', error);
+    console.error('Create follow-up error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -216,29 +1263,50 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/campaigns/:id
-// @desc    Get campaign details
+// @route   GET /api/campaigns/:id/follow-ups
+// @desc    Combined report for a campaign and its follow-ups
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id/follow-ups', auth, async (req, res) => {
   try {
     const campaign = await Campaign.findOne({
       _id: req.params.id,
       user: req.user.id
     });
-    
+
     if (!campaign) {
       return res.status(404).json({
         success: false,
         message: 'Campaign not found'
       });
     }
-    
+
+    // Reporting is always from the original campaign
+    const parent = campaign.parent
+      ? await Campaign.findOne({ _id: campaign.parent, user: req.user.id })
+      : campaign;
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent campaign not found'
+      });
+    }
+
+    const followUps = await Campaign.find({ parent: parent._id, user: req.user.id }).sort({ createdAt: 1 });
+
     res.json({
       success: true,
-      data: campaign
+      data: {
+        parent: campaignSummary(parent),
+        followUps: followUps.map(followUp => ({
+          ...campaignSummary(followUp),
+          audience: followUp.followUp.audience
+        })),
+        combined: await combinedEngagement(parent, followUps)
+      }
     });
   } catch (error) {
-    console.error('Get campaign error:', error);
+    console.error('Get follow-up report error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -246,39 +1314,112 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/campaigns/:id/cancel
-// @desc    Cancel scheduled campaign
+// @route   PUT /api/campaigns/:id/content
+// @desc    Edit subject, content or from name of a paused campaign
 // @access  Private
-router.post('/:id/cancel', auth, async (req, res) => {
+router.put('/:id/content', [
+  auth,
+  body('subject').optional().trim().isLength({ min: 1 }).withMessage('Subject cannot be empty'),
+  body('content').optional().isLength({ min: 1 }).withMessage('Content cannot be empty'),
+  body('textContent').optional().isString().withMessage('Text content must be a string'),
+  body('fromName').optional().trim().isLength({ min: 1 }).withMessage('From name cannot be empty')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { subject, content, textContent, fromName } = req.body;
+    if (subject === undefined && content === undefined && textContent === undefined && fromName === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    const syntaxError = TemplateRenderer.syntaxError(subject, content, textContent);
+    if (syntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: syntaxError
+      });
+    }
+
     const campaign = await Campaign.findOne({
       _id: req.params.id,
       user: req.user.id
     });
-    
+
     if (!campaign) {
       return res.status(404).json({
         success: false,
         message: 'Campaign not found'
       });
     }
-    
-    if (campaign.status !== 'scheduled' && campaign.status !== 'sending') {
+
+    if (!['paused', 'scheduled'].includes(campaign.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Campaign cannot be cancelled in current status'
+        message: 'Pause the campaign before editing it'
       });
     }
-    
-    campaign.status = 'cancelled';
-    await campaign.save();
-    
+
+    const update = { updatedAt: new Date() };
+    if (subject !== undefined) update.subject = subject;
+    if (content !== undefined) update.content = content;
+    // An empty text version goes back to generating it from the HTML
+    if (textContent !== undefined) update.textContent = textContent || null;
+    if (fromName !== undefined) update['settings.fromName'] = fromName;
+    update.contentCheck = ContentLinter.lintCampaign({
+      subject: subject !== undefined ? subject : campaign.subject,
+      content: content !== undefined ? content : campaign.content,
+      abTest: campaign.abTest
+    });
+
+    // Applied only while the campaign is still paused, so an edit can't race a resume
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: campaign.status },
+      {
+        $set: update,
+        $push: {
+          revisions: {
+            subject: subject !== undefined ? subject : campaign.subject,
+            fromName: fromName !== undefined ? fromName : campaign.settings.fromName,
+            contentChanged: content !== undefined || textContent !== undefined,
+            recipientsSent: campaign.stats.sent,
+            editedAt: new Date()
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Campaign status changed while editing; please try again'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Campaign cancelled successfully'
+      message: 'Campaign updated. Changes apply to recipients not yet sent.',
+      data: {
+        campaignId: updated._id,
+        subject: updated.subject,
+        fromName: updated.settings.fromName,
+        status: updated.status,
+        pendingRecipients: await CampaignRecipient.countDocuments({ campaign: updated._id, status: 'pending' }),
+        contentCheck: updated.contentCheck
+      }
     });
   } catch (error) {
-    console.error('Cancel campaign error:', error);
+    console.error('Edit campaign content error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -309,8 +1450,18 @@ router.delete('/:id', auth, async (req, res) => {
         message: 'Cannot delete campaign that is currently sending'
       });
     }
+
+    // The automation still sends through it; deleting the automation
+    // closes the campaign
+    if (campaign.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Automation emails are removed by deleting their automation'
+      });
+    }
     
     await Campaign.findByIdAndDelete(req.params.id);
+    await CampaignRecipient.deleteMany({ campaign: campaign._id });
     
     res.json({
       success: true,
@@ -325,150 +1476,427 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Helper function to process campaign
-async function processCampaign(campaignId) {
-  try {
-    const campaign = await Campaign.findById(campaignId).populate('user');
-    if (!campaign) return;
-
-    // Get SMTP configuration
-    const smtpConfig = await SMTPConfig.findById(campaign.settings.smtpConfigId);
-    if (!smtpConfig) {
-      campaign.status = 'failed';
-      campaign.error = 'SMTP configuration not found';
-      await campaign.save();
-      return;
-    }
+// Check everything a campaign needs before it sends or is scheduled (the
+// SMTP configurations, template, audience, attachments, A/B test and merge
+// fields) and build its fields. A draft being launched keeps its own
+// content when it has some, and its recipients when it has no contact
+// list. Returns `{ fields, recipients, attachments, mergeFields }` or
+// `{ error, status, data }`.
+async function prepareLaunch(request, user, draft = null) {
+  const {
+    name,
+    subject,
+    smtpConfigId,
+    smtpConfigIds,
+    rotation = 'round_robin',
+    templateId,
+    contactListId,
+    scheduleType,
+    scheduledAt,
+    timezone,
+    repeatType = 'none',
+    repeatUntil,
+    variables = {},
+    mergeFieldCheck = 'warn',
+    attachmentIds = [],
+    customFromName,
+    customFromEmail
+  } = request;
 
-    // Decrypt SMTP password
-    const decryptedPassword = decrypt(smtpConfig.password);
+  const userId = user.id;
 
-    // Create transporter
-    const transporter = nodemailer.createTransport({
-      host: smtpConfig.host,
-      port: smtpConfig.port,
-      secure: smtpConfig.secure,
-      auth: {
-        user: smtpConfig.username,
-        pass: decryptedPassword
-      }
+  // Resolve the schedule time in the campaign's timezone. For "best time"
+  // it is optional and starts the 24-hour send window.
+  let scheduledDate = null;
+  if (scheduleType === 'scheduled' || (scheduleType === 'best_time' && scheduledAt)) {
+    scheduledDate = CampaignScheduler.parseScheduledAt(scheduledAt, timezone);
+    if (!scheduledDate) return { error: 'Invalid schedule time' };
+  }
+
+  // Validate SMTP configurations; the first one of a pool is the default sender
+  const poolIds = smtpConfigIds ? [...new Set(smtpConfigIds.map(String))] : [smtpConfigId];
+  const smtpConfigs = await SMTPConfig.find({
+    _id: { $in: poolIds },
+    user: userId,
+    isActive: true,
+    isVerified: true
+  });
+
+  if (smtpConfigs.length !== poolIds.length) {
+    return { error: 'SMTP configuration not found or not verified' };
+  }
+
+  const smtpConfig = smtpConfigs.find(config => config._id.equals(poolIds[0]));
+
+  // Validate template
+  const ownContent = draft && draft.content;
+  const template = ownContent ? null : await TemplateStore.find(templateId, userId);
+
+  if (!ownContent && !template) {
+    return { error: 'Template not found' };
+  }
+
+  const content = ownContent || template.content;
+
+  // A text version given for this campaign overrides the template's
+  const textContent = request.textContent || (template && template.textContent) || undefined;
+
+  // Reject templates the renderer can't parse before anything is sent
+  const syntaxError = TemplateRenderer.syntaxError(subject, content, textContent);
+  if (syntaxError) return { error: syntaxError };
+
+  // Validate contact list
+  let contactList = null;
+  if (contactListId) {
+    contactList = await ContactList.findOne({
+      _id: contactListId,
+      user: userId,
+      isActive: true
     });
 
-    // Update campaign status
-    campaign.status = 'sending';
-    campaign.sentAt = new Date();
-    await campaign.save();
+    if (!contactList) return { error: 'Contact list not found' };
+  }
 
-    // Process recipients in batches
-    const batchSize = 5;
-    let processedCount = 0;
-
-    for (let i = 0; i < campaign.recipients.length; i += batchSize) {
-      const batch = campaign.recipients.slice(i, i + batchSize);
-      
-      const batchPromises = batch.map(async (recipient) => {
-        try {
-          // Replace template variables
-          let emailContent = campaign.content;
-          emailContent = emailContent.replace(/{{first_name}}/g, recipient.name.split(' ')[0] || '');
-          emailContent = emailContent.replace(/{{last_name}}/g, recipient.name.split(' ')[1] || '');
-          emailContent = emailContent.replace(/{{email}}/g, recipient.email);
-          emailContent = emailContent.replace(/{{company_name}}/g, 'MarketingHub');
-          emailContent = emailContent.replace(/{{year}}/g, new Date().getFullYear());
-
-          const mailOptions = {
-            from: `${campaign.settings.fromName} <${campaign.settings.fromEmail}>`,
-            to: recipient.email,
-            subject: campaign.subject,
-            html: emailContent,
-            replyTo: campaign.settings.replyTo
-          };
-
-          await transporter.sendMail(mailOptions);
-          
-          recipient.status = 'sent';
-          recipient.sentAt = new Date();
-          
-          // Save email activity
-          const emailActivity = new EmailActivity({
-            user: campaign.user,
-            campaign: campaign._id,
-            recipient: {
-              email: recipient.email,
-              name: recipient.name
-            },
-            sender: {
-              email: campaign.settings.fromEmail,
-              name: campaign.settings.fromName
-            },
-            template: {
-              id: campaign.settings.templateId,
-              name: 'Campaign Template',
-              subject: campaign.subject,
-              content: emailContent
-            },
-            emailDetails: {
-              subject: campaign.subject,
-              content: emailContent,
-              messageId: `campaign_${campaign._id}_${Date.now()}`,
-              smtpConfig: campaign.settings.smtpConfigId
-            },
-            status: 'sent',
-            tracking: {
-              sentAt: new Date()
-            },
-            response: {
-              smtpResponse: 'Message sent successfully',
-              deliveryStatus: 'sent'
-            },
-            metadata: {
-              emailSize: emailContent.length,
-              tags: ['campaign', campaign.name.toLowerCase().replace(/\s+/g, '-')]
-            }
-          });
-          
-          await emailActivity.save();
-          processedCount++;
-        } catch (error) {
-          console.error(`Error sending to ${recipient.email}:`, error);
-          recipient.status = 'failed';
-          recipient.errorMessage = error.message;
-        }
-      });
+  // Validate attachments against the plan's limits
+  const { attachments, error: attachmentError } = await AttachmentStore.resolve(user, attachmentIds);
+  if (attachmentError) return { error: attachmentError };
 
-      await Promise.all(batchPromises);
-      
-      // Save progress
-      await campaign.save();
-      
-      // Add delay between batches
-      if (i + batchSize < campaign.recipients.length) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+  let recipients;
+  if (contactList) {
+    // Filter valid contacts
+    const validContacts = contactList.contacts.filter(
+      contact => contact.validationStatus === 'valid' || !contact.isValidated
+    );
+
+    if (validContacts.length === 0) {
+      return { error: 'No valid contacts found in the selected list' };
     }
 
-    // Update final campaign status
-    campaign.status = 'completed';
-    campaign.completedAt = new Date();
-    await campaign.save();
+    recipients = validContacts.map(contact => Campaign.recipientFromContact(contact));
+  } else {
+    recipients = (await CampaignRecipient.find({ campaign: draft._id }).select('email name data').lean())
+      .map(({ email, name: recipientName, data }) => ({ email, name: recipientName, status: 'pending', data }));
+  }
+
+  // Split a sample of the recipients across the A/B test variants
+  let abTest;
+  if (request.abTest) {
+    if (scheduleType === 'scheduled' && repeatType !== 'none') {
+      return { error: 'A/B tests cannot be used on recurring campaigns' };
+    }
 
-    // Update user usage
-    const user = await User.findById(campaign.user);
-    user.usage.emailsSent += campaign.stats.sent;
-    await user.save();
+    const result = buildAbTest(request.abTest, recipients);
+    const abTestError = result.error || TemplateRenderer.syntaxError(...abTestTemplates(result.abTest));
+    if (abTestError) return { error: abTestError };
+    abTest = result.abTest;
+  }
 
-    console.log(`Campaign ${campaignId} completed. Sent: ${campaign.stats.sent}, Failed: ${campaign.stats.failed}`);
+  // Check every merge field has data or a default for each recipient
+  const mergeFields = mergeFieldReport([subject, content, textContent, ...abTestTemplates(abTest)], recipients, {
+    name,
+    variables,
+    settings: { fromName: customFromName || smtpConfig.fromName, fromEmail: customFromEmail || smtpConfig.fromEmail }
+  });
 
-  } catch (error) {
-    console.error('Process campaign error:', error);
-    
-    // Mark campaign as failed
-    await Campaign.findByIdAndUpdate(campaignId, {
-      status: 'failed',
-      error: error.message,
-      completedAt: new Date()
-    });
+  if (mergeFieldCheck === 'block' && mergeFields.blocking) {
+    return {
+      status: 422,
+      error: 'Some recipients are missing merge field values. Add the data or a default value, e.g. {{first_name | "there"}}.',
+      data: { mergeFields }
+    };
+  }
+
+  return {
+    attachments,
+    mergeFields,
+    recipients,
+    fields: {
+      name,
+      type: 'email',
+      subject,
+      content,
+      textContent,
+      attachments: attachments.map(attachment => attachment._id),
+      abTest,
+      variables: Object.fromEntries(Object.entries(variables).map(([key, value]) => [key, String(value)])),
+      settings: {
+        fromName: customFromName || smtpConfig.fromName,
+        fromEmail: customFromEmail || smtpConfig.fromEmail,
+        replyTo: customFromEmail || smtpConfig.fromEmail,
+        trackOpens: true,
+        trackClicks: true,
+        smtpConfigId: smtpConfig._id,
+        smtpPool: poolIds.length > 1 ? poolIds : [],
+        rotation,
+        templateId: template ? template._id || templateId : templateId,
+        contactListId: contactList ? contactList._id : undefined
+      },
+      schedule: {
+        isScheduled: Boolean(scheduledDate),
+        scheduledAt: scheduledDate,
+        timezone: timezone || user.settings?.timezone || 'UTC',
+        repeatType: scheduleType === 'scheduled' ? repeatType : 'none',
+        repeatUntil: scheduleType === 'scheduled' && repeatUntil ? new Date(repeatUntil) : null,
+        startAt: scheduledDate,
+        optimizeSendTime: scheduleType === 'best_time'
+      },
+      status: scheduledDate ? 'scheduled' : 'pending'
+    }
+  };
+}
+
+// How a campaign's schedule was chosen, as a create request's scheduleType
+function scheduleTypeOf(campaign) {
+  if (campaign.schedule.optimizeSendTime) return 'best_time';
+  return campaign.schedule.isScheduled ? 'scheduled' : 'now';
+}
+
+// Status a paused or finished campaign goes back to when it sends again:
+// automation steps are active, campaigns that never sent a batch pending
+function resumedStatus(campaign) {
+  if (campaign.automation) return 'active';
+  return campaign.sentAt ? 'sending' : 'pending';
+}
+
+// Copy the fields sent in a draft create or edit request onto the draft.
+// Null or empty values clear a field. Returns an error message or null.
+function applyDraftFields(campaign, request) {
+  const has = key => request[key] !== undefined;
+  const { settings } = campaign;
+
+  if (has('name')) campaign.name = request.name;
+  if (has('subject')) campaign.subject = request.subject || undefined;
+  if (has('textContent')) campaign.textContent = request.textContent || undefined;
+
+  if (has('templateId')) {
+    settings.templateId = request.templateId || undefined;
+    // Content copied from a duplicated campaign gives way to the new template
+    if (!has('content')) campaign.content = undefined;
+  }
+  if (has('content')) campaign.content = request.content || undefined;
+
+  if (has('contactListId')) settings.contactListId = request.contactListId || undefined;
+
+  if (has('smtpConfigIds')) {
+    const poolIds = [...new Set(request.smtpConfigIds.map(String))];
+    settings.smtpConfigId = poolIds[0];
+    settings.smtpPool = poolIds.length > 1 ? poolIds : [];
+  } else if (has('smtpConfigId')) {
+    settings.smtpConfigId = request.smtpConfigId || undefined;
+    settings.smtpPool = [];
+  }
+  if (has('rotation')) settings.rotation = request.rotation;
+
+  if (has('customFromName')) settings.fromName = request.customFromName || undefined;
+  if (has('customFromEmail')) {
+    settings.fromEmail = request.customFromEmail || undefined;
+    settings.replyTo = request.customFromEmail || undefined;
+  }
+
+  if (has('variables')) {
+    campaign.variables = Object.fromEntries(Object.entries(request.variables).map(([key, value]) => [key, String(value)]));
+  }
+  if (has('attachmentIds')) campaign.attachments = request.attachmentIds;
+
+  if (has('abTest')) {
+    if (request.abTest) {
+      const { field, samplePercentage, waitHours, winnerMetric, variants = [] } = request.abTest;
+      campaign.abTest = { enabled: true, field, samplePercentage, waitHours, winnerMetric, variants };
+    } else {
+      campaign.abTest = { enabled: false };
+    }
+  }
+
+  if (['scheduleType', 'scheduledAt', 'timezone', 'repeatType', 'repeatUntil'].some(has)) {
+    const { schedule } = campaign;
+    const scheduleType = request.scheduleType || scheduleTypeOf(campaign);
+    const timezone = request.timezone || schedule.timezone;
+    const repeatType = has('repeatType') ? request.repeatType : schedule.repeatType;
+    const repeatUntil = has('repeatUntil') ? request.repeatUntil : schedule.repeatUntil;
+
+    let scheduledAt = schedule.scheduledAt;
+    if (has('scheduledAt')) {
+      scheduledAt = CampaignScheduler.parseScheduledAt(request.scheduledAt, timezone);
+      if (request.scheduledAt && !scheduledAt) return 'Invalid schedule time';
+    }
+    if (scheduleType === 'now') scheduledAt = null;
+
+    campaign.schedule = {
+      isScheduled: scheduleType === 'scheduled' || Boolean(scheduledAt),
+      scheduledAt,
+      timezone,
+      repeatType: scheduleType === 'scheduled' ? repeatType : 'none',
+      repeatUntil: scheduleType === 'scheduled' && repeatUntil ? new Date(repeatUntil) : null,
+      startAt: scheduledAt,
+      optimizeSendTime: scheduleType === 'best_time'
+    };
+  }
+
+  return null;
+}
+
+// What a draft still needs before it can launch
+function missingForLaunch(campaign) {
+  const { settings, schedule, abTest } = campaign;
+
+  return [
+    [!campaign.subject || !campaign.subject.trim(), 'subject'],
+    [!settings.smtpConfigId, 'SMTP configuration'],
+    [!settings.templateId && !campaign.content, 'template'],
+    [!settings.contactListId && campaign.stats.totalRecipients === 0, 'contact list'],
+    [scheduleTypeOf(campaign) === 'scheduled' && !schedule.scheduledAt, 'schedule time'],
+    [abTest.enabled && (!abTest.field || abTest.variants.length < 2), 'A/B test variants']
+  ].filter(([isMissing]) => isMissing).map(([, field]) => field);
+}
+
+// A draft in the shape of a create request, for launching it
+function draftRequest(campaign) {
+  const { settings, schedule, abTest } = campaign.toObject();
+
+  return {
+    name: campaign.name,
+    subject: campaign.subject,
+    smtpConfigIds: (settings.smtpPool.length > 0 ? settings.smtpPool : [settings.smtpConfigId]).map(String),
+    rotation: settings.rotation,
+    templateId: settings.templateId,
+    contactListId: settings.contactListId,
+    textContent: campaign.textContent,
+    scheduleType: scheduleTypeOf(campaign),
+    // An exact instant, so it isn't read as local time in the timezone again
+    scheduledAt: schedule.scheduledAt ? schedule.scheduledAt.toISOString() : undefined,
+    timezone: schedule.timezone,
+    repeatType: schedule.repeatType,
+    repeatUntil: schedule.repeatUntil,
+    variables: Object.fromEntries(campaign.variables),
+    attachmentIds: campaign.attachments.map(String),
+    customFromName: settings.fromName,
+    customFromEmail: settings.fromEmail,
+    abTest: abTest.enabled ? abTest : undefined
+  };
+}
+
+// Merge field coverage across recipients, for the create and check routes
+function mergeFieldReport(templates, recipients, campaign) {
+  const fields = TemplateRenderer.analyzeMergeFields(templates, recipients, { campaign });
+
+  return {
+    totalRecipients: recipients.length,
+    blocking: fields.some(field => field.blocking),
+    fields
+  };
+}
+
+// Check an A/B test request and split a random sample of `recipients` across
+// its variants. Returns `{ abTest }` or `{ error }`.
+function buildAbTest(request, recipients) {
+  const { field, samplePercentage = 20, waitHours = 4, winnerMetric = 'open_rate' } = request;
+
+  const invalid = request.variants.some(variant => (
+    !variant || typeof variant[field] !== 'string' || variant[field].trim().length === 0
+  ));
+  if (invalid) {
+    return { error: `Every A/B test variant needs a ${field}` };
+  }
+
+  if (recipients.length < request.variants.length) {
+    return { error: 'Not enough recipients for an A/B test' };
+  }
+
+  const variants = request.variants.map((variant, index) => ({
+    name: variant.name || String.fromCharCode(65 + index),
+    [field]: variant[field],
+    textContent: field === 'content' && variant.textContent ? variant.textContent : undefined
+  }));
+
+  // Every variant gets at least one recipient
+  const sampleSize = Math.min(
+    recipients.length,
+    Math.max(variants.length, Math.round(recipients.length * Number(samplePercentage) / 100))
+  );
+
+  const order = recipients.map((recipient, index) => index);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
   }
+
+  order.slice(0, sampleSize).forEach((recipientIndex, position) => {
+    recipients[recipientIndex].variant = position % variants.length;
+    recipients[recipientIndex].abSample = true;
+  });
+
+  return {
+    abTest: {
+      enabled: true,
+      field,
+      samplePercentage: Number(samplePercentage),
+      waitHours: Number(waitHours),
+      winnerMetric,
+      variants
+    }
+  };
+}
+
+// Subjects and content the variants of an A/B test render
+function abTestTemplates(abTest) {
+  if (!abTest) return [];
+  return abTest.variants.flatMap(variant => [variant.subject, variant.content, variant.textContent]);
+}
+
+function campaignSummary(campaign) {
+  return {
+    _id: campaign._id,
+    name: campaign.name,
+    subject: campaign.subject,
+    status: campaign.status,
+    sentAt: campaign.sentAt,
+    completedAt: campaign.completedAt,
+    stats: campaign.stats
+  };
+}
+
+// Unique recipients of the parent reached, opened and clicked by the parent
+// or any follow-up; each address counts once at its best engagement
+async function combinedEngagement(parent, followUps) {
+  const rank = {
+    $switch: {
+      branches: [
+        { case: { $eq: ['$status', 'clicked'] }, then: 3 },
+        { case: { $eq: ['$status', 'opened'] }, then: 2 }
+      ],
+      default: 1
+    }
+  };
+
+  const levels = await CampaignRecipient.aggregate([
+    {
+      $match: {
+        campaign: { $in: [parent, ...followUps].map(campaign => campaign._id) },
+        status: { $in: ['sent', 'delivered', 'opened', 'clicked'] }
+      }
+    },
+    { $group: { _id: { $toLower: '$email' }, level: { $max: rank } } },
+    { $group: { _id: '$level', count: { $sum: 1 } } }
+  ]);
+  const atLeast = min => levels
+    .filter(group => group._id >= min)
+    .reduce((sum, group) => sum + group.count, 0);
+
+  const reached = atLeast(1);
+  const opened = atLeast(2);
+  const clicked = atLeast(3);
+
+  return {
+    recipients: parent.stats.totalRecipients,
+    reached,
+    opened,
+    clicked,
+    openRate: reached > 0 ? (opened / reached) * 100 : 0,
+    clickRate: reached > 0 ? (clicked / reached) * 100 : 0,
+    // Engagement the follow-ups added on top of the parent
+    openedByFollowUps: opened - parent.stats.opened,
+    clickedByFollowUps: clicked - parent.stats.clicked
+  };
 }
 
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const ContactList = require('../models/ContactList');
 const EmailValidation = require('../models/EmailValidation');
+const AutomationRunner = require('../services/AutomationRunner');
+const CampaignScheduler = require('../services/CampaignScheduler');
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
@@ -157,7 +159,8 @@ router.post('/lists', [
 router.post('/lists/:id/contacts', [
   auth,
   body('contacts').isArray({ min: 1 }).withMessage('At least one contact is required'),
-  body('contacts.*.email').isEmail().withMessage('Valid email is required for each contact')
+  body('contacts.*.email').isEmail().withMessage('Valid email is required for each contact'),
+  body('contacts.*.timezone').optional().custom(value => CampaignScheduler.isValidTimezone(value)).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -201,6 +204,7 @@ router.post('/lists/:id/contacts', [
         lastName: contact.lastName || '',
         company: contact.company || '',
         phone: contact.phone || '',
+        timezone: contact.timezone || undefined,
         tags: contact.tags || [],
         customFields: contact.customFields || {},
         source: 'manual'
@@ -211,6 +215,9 @@ router.post('/lists/:id/contacts', [
     list.contacts.push(...newContacts);
     await list.save();
 
+    // Start automations triggered by joining the list or by a tag
+    await AutomationRunner.contactsAdded(list, list.contacts.slice(list.contacts.length - newContacts.length));
+
     res.json({
       success: true,
       message: `${newContacts.length} contacts added successfully`,
@@ -271,12 +278,16 @@ router.post('/lists/:id/import', [auth, upload.single('csvFile')], async (req, r
             return;
           }
 
+          // An unrecognised timezone is dropped rather than failing the row
+          const timezone = (row.timezone || row.Timezone || '').trim();
+
           contacts.push({
             email: email.toLowerCase(),
             firstName: row.firstName || row.first_name || row['First Name'] || '',
             lastName: row.lastName || row.last_name || row['Last Name'] || '',
             company: row.company || row.Company || '',
             phone: row.phone || row.Phone || '',
+            timezone: timezone && CampaignScheduler.isValidTimezone(timezone) ? timezone : undefined,
             tags: [],
             customFields: {},
             source: 'import'
@@ -314,6 +325,9 @@ router.post('/lists/:id/import', [auth, upload.single('csvFile')], async (req, r
     list.contacts.push(...newContacts);
     await list.save();
 
+    // Start automations triggered by joining the list or by a tag
+    await AutomationRunner.contactsAdded(list, list.contacts.slice(list.contacts.length - newContacts.length));
+
     res.json({
       success: true,
       message: `${newContacts.length} contacts imported successfully`,
@@ -342,6 +356,79 @@ router.post('/lists/:id/import', [auth, upload.single('csvFile')], async (req, r
   }
 });
 
+// @route   POST /api/contacts/lists/:id/contacts/:contactId/tags
+// @desc    Add tags to a contact
+// @access  Private
+router.post('/lists/:id/contacts/:contactId/tags', [
+  auth,
+  body('tags').isArray({ min: 1 }).withMessage('At least one tag is required'),
+  body('tags.*').isString().trim().isLength({ min: 1 }).withMessage('Tags must be non-empty strings')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const list = await ContactList.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact list not found'
+      });
+    }
+
+    const contact = list.contacts.id(req.params.contactId);
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    // Tags match case-insensitively: "VIP" is not added next to "vip", and
+    // the first spelling given is the one kept
+    const seen = new Set((contact.tags || []).map(tag => tag.toLowerCase()));
+    const added = req.body.tags.filter(tag => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    if (added.length > 0) {
+      contact.tags.push(...added);
+      await list.save();
+
+      await AutomationRunner.tagsAdded(list, contact, added);
+    }
+
+    res.json({
+      success: true,
+      message: `${added.length} tag(s) added`,
+      data: {
+        contactId: contact._id,
+        tags: contact.tags,
+        added
+      }
+    });
+  } catch (error) {
+    console.error('Add contact tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/contacts/lists/:id/validate
 // @desc    Validate emails in contact list
 // @access  Private
@@ -1,10 +1,20 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { auth } = require('../middleware/auth');
 const EmailActivity = require('../models/EmailActivity');
 const Campaign = require('../models/Campaign');
+const CampaignStats = require('../services/CampaignStats');
+const TrackingInjector = require('../services/TrackingInjector');
+const TrackingClassifier = require('../services/TrackingClassifier');
 
 const router = express.Router();
 
+// How long unsigned click links in emails sent before link signing keep working
+const LEGACY_LINK_WINDOW = (parseInt(process.env.TRACKING_LEGACY_LINK_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+// Click events kept per activity
+const MAX_CLICK_EVENTS = 200;
+
 // @route   GET /api/email-tracking/activities
 // @desc    Get user's email activities
 // @access  Private
@@ -121,6 +131,39 @@ router.get('/analytics', auth, async (req, res) => {
       createdAt: { $gte: startDate }
     });
 
+    // Activities whose only opens/clicks came from proxies and scanners
+    const machineOpenedEmails = await EmailActivity.countDocuments({
+      user: req.user.id,
+      status: { $in: ['sent', 'delivered'] },
+      'tracking.machineOpens': { $gt: 0 },
+      createdAt: { $gte: startDate }
+    });
+
+    const machineClickedEmails = await EmailActivity.countDocuments({
+      user: req.user.id,
+      status: { $ne: 'clicked' },
+      'tracking.machineClicks': { $gt: 0 },
+      createdAt: { $gte: startDate }
+    });
+
+    const [events] = await EmailActivity.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(req.user.id),
+          createdAt: { $gte: startDate }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          humanOpens: { $sum: '$tracking.humanOpens' },
+          machineOpens: { $sum: '$tracking.machineOpens' },
+          humanClicks: { $sum: '$tracking.humanClicks' },
+          machineClicks: { $sum: '$tracking.machineClicks' }
+        }
+      }
+    ]);
+
     // Calculate rates
     const deliveryRate = totalEmails > 0 ? (deliveredEmails / totalEmails) * 100 : 0;
     const openRate = deliveredEmails > 0 ? (openedEmails / deliveredEmails) * 100 : 0;
@@ -220,7 +263,15 @@ router.get('/analytics', auth, async (req, res) => {
           deliveryRate: parseFloat(deliveryRate.toFixed(2)),
           openRate: parseFloat(openRate.toFixed(2)),
           clickRate: parseFloat(clickRate.toFixed(2)),
-          bounceRate: parseFloat(bounceRate.toFixed(2))
+          bounceRate: parseFloat(bounceRate.toFixed(2)),
+          machineOpenedEmails,
+          machineClickedEmails
+        },
+        engagementEvents: {
+          humanOpens: events?.humanOpens || 0,
+          machineOpens: events?.machineOpens || 0,
+          humanClicks: events?.humanClicks || 0,
+          machineClicks: events?.machineClicks || 0
         },
         dailyStats,
         topTemplates
@@ -265,6 +316,10 @@ router.get('/export', auth, async (req, res) => {
           { id: 'sentAt', title: 'Sent At' },
           { id: 'openedAt', title: 'Opened At' },
           { id: 'clickedAt', title: 'Clicked At' },
+          { id: 'humanOpens', title: 'Human Opens' },
+          { id: 'machineOpens', title: 'Machine Opens' },
+          { id: 'humanClicks', title: 'Human Clicks' },
+          { id: 'machineClicks', title: 'Machine Clicks' },
           { id: 'campaignName', title: 'Campaign' }
         ]
       });
@@ -278,6 +333,10 @@ router.get('/export', auth, async (req, res) => {
         sentAt: activity.tracking.sentAt?.toISOString() || '',
         openedAt: activity.tracking.openedAt?.toISOString() || '',
         clickedAt: activity.tracking.clickedAt?.toISOString() || '',
+        humanOpens: activity.tracking.humanOpens || 0,
+        machineOpens: activity.tracking.machineOpens || 0,
+        humanClicks: activity.tracking.humanClicks || 0,
+        machineClicks: activity.tracking.machineClicks || 0,
         campaignName: activity.campaign?.name || ''
       }));
 
@@ -301,21 +360,160 @@ router.get('/export', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/email-tracking/campaigns/:id/links
+// @desc    Per-link click report for a campaign
+// @access  Private
+router.get('/campaigns/:id/links', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).select('name');
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const match = { campaign: campaign._id, user: new mongoose.Types.ObjectId(req.user.id) };
+
+    const uniqueOpens = await EmailActivity.countDocuments({
+      ...match,
+      'tracking.openedAt': { $exists: true }
+    });
+
+    const links = await EmailActivity.aggregate([
+      { $match: { ...match, 'tracking.clickEvents.0': { $exists: true } } },
+      { $unwind: '$tracking.clickEvents' },
+      // One row per URL per recipient
+      {
+        $group: {
+          _id: { url: '$tracking.clickEvents.url', activity: '$_id' },
+          clicks: { $sum: { $cond: ['$tracking.clickEvents.isMachine', 0, 1] } },
+          machineClicks: { $sum: { $cond: ['$tracking.clickEvents.isMachine', 1, 0] } },
+          positions: { $addToSet: '$tracking.clickEvents.linkIndex' },
+          firstClickedAt: { $min: '$tracking.clickEvents.clickedAt' },
+          lastClickedAt: { $max: '$tracking.clickEvents.clickedAt' }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.url',
+          totalClicks: { $sum: '$clicks' },
+          uniqueClicks: { $sum: { $cond: [{ $gt: ['$clicks', 0] }, 1, 0] } },
+          machineClicks: { $sum: '$machineClicks' },
+          positions: { $push: '$positions' },
+          firstClickedAt: { $min: '$firstClickedAt' },
+          lastClickedAt: { $max: '$lastClickedAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          url: '$_id',
+          totalClicks: 1,
+          uniqueClicks: 1,
+          machineClicks: 1,
+          positions: {
+            $reduce: {
+              input: '$positions',
+              initialValue: [],
+              in: { $setUnion: ['$$value', '$$this'] }
+            }
+          },
+          firstClickedAt: 1,
+          lastClickedAt: 1
+        }
+      },
+      { $sort: { totalClicks: -1 } }
+    ]);
+
+    const uniqueClickers = await EmailActivity.countDocuments({
+      ...match,
+      'tracking.clickEvents': { $elemMatch: { isMachine: { $ne: true } } }
+    });
+
+    const clickToOpen = count => uniqueOpens > 0 ? parseFloat(((count / uniqueOpens) * 100).toFixed(2)) : 0;
+
+    res.json({
+      success: true,
+      data: {
+        campaignId: campaign._id,
+        name: campaign.name,
+        overview: {
+          uniqueOpens,
+          uniqueClicks: uniqueClickers,
+          totalClicks: links.reduce((sum, link) => sum + link.totalClicks, 0),
+          machineClicks: links.reduce((sum, link) => sum + link.machineClicks, 0),
+          clickToOpenRate: clickToOpen(uniqueClickers)
+        },
+        links: links.map(link => ({
+          ...link,
+          positions: link.positions.filter(position => position !== null).sort((a, b) => a - b),
+          clickToOpenRate: clickToOpen(link.uniqueClicks)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get campaign link report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/email-tracking/track-open/:activityId
 // @desc    Track email open
 // @access  Public
 router.get('/track-open/:activityId', async (req, res) => {
   try {
     const { activityId } = req.params;
-    
-    const activity = await EmailActivity.findById(activityId);
+    const userAgent = req.get('User-Agent');
+    const now = new Date();
+
+    const activity = mongoose.isValidObjectId(activityId)
+      ? await EmailActivity.findById(activityId).select('campaign recipient tracking.sentAt createdAt')
+      : null;
+
     if (activity) {
-      activity.status = 'opened';
-      activity.tracking.openedAt = new Date();
-      activity.tracking.opens += 1;
-      activity.tracking.userAgent = req.get('User-Agent');
-      activity.tracking.ipAddress = req.ip;
-      await activity.save();
+      const { isMachine, reason } = TrackingClassifier.classifyOpen(activity, userAgent, now);
+
+      await EmailActivity.updateOne({ _id: activity._id }, {
+        $inc: {
+          'tracking.opens': 1,
+          [isMachine ? 'tracking.machineOpens' : 'tracking.humanOpens']: 1
+        },
+        $set: {
+          'tracking.userAgent': userAgent,
+          'tracking.ipAddress': req.ip,
+          ...(isMachine ? { 'tracking.lastMachineReason': reason } : {})
+        }
+      });
+
+      // Machine opens are counted but don't mark the email as opened
+      if (!isMachine) {
+        // Never downgrade a clicked activity back to opened
+        await EmailActivity.updateOne(
+          { _id: activity._id, status: { $in: ['sent', 'delivered'] } },
+          { $set: { status: 'opened' } }
+        );
+        await EmailActivity.updateOne(
+          { _id: activity._id, 'tracking.openedAt': { $exists: false } },
+          { $set: { 'tracking.openedAt': now } }
+        );
+
+        await CampaignStats.recordOpen(activity, now);
+      }
     }
     
     // Return 1x1 transparent pixel
@@ -334,24 +532,141 @@ router.get('/track-open/:activityId', async (req, res) => {
 router.get('/track-click/:activityId', async (req, res) => {
   try {
     const { activityId } = req.params;
-    const { url } = req.query;
-    
-    const activity = await EmailActivity.findById(activityId);
-    if (activity) {
-      activity.status = 'clicked';
-      activity.tracking.clickedAt = new Date();
-      activity.tracking.clicks += 1;
-      activity.tracking.userAgent = req.get('User-Agent');
-      activity.tracking.ipAddress = req.ip;
-      await activity.save();
+    const { url, i, sig } = req.query;
+    const userAgent = req.get('User-Agent');
+    const now = new Date();
+
+    if (!mongoose.isValidObjectId(activityId) || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      return sendInvalidLink(res);
     }
-    
+
+    const activity = await EmailActivity.findById(activityId)
+      .select('campaign recipient tracking.signedLinks tracking.sentAt tracking.linkCount tracking.clickEvents emailDetails.content createdAt');
+
+    if (!activity || !isTrustedClick(activity, url, i, sig)) {
+      return sendInvalidLink(res);
+    }
+
+    const linkIndex = /^\d+$/.test(String(i)) ? parseInt(i, 10) : undefined;
+    const { isMachine, reason, burst } = TrackingClassifier.classifyClick(activity, userAgent, now, linkIndex);
+
+    await EmailActivity.updateOne({ _id: activity._id }, {
+      $inc: {
+        'tracking.clicks': 1,
+        [isMachine ? 'tracking.machineClicks' : 'tracking.humanClicks']: 1
+      },
+      $set: {
+        'tracking.userAgent': userAgent,
+        'tracking.ipAddress': req.ip,
+        ...(isMachine ? { 'tracking.lastMachineReason': reason } : { 'tracking.clickedAt': now })
+      },
+      $push: {
+        'tracking.clickEvents': {
+          $each: [{
+            url,
+            linkIndex,
+            clickedAt: now,
+            userAgent,
+            ipAddress: req.ip,
+            isMachine,
+            machineReason: reason
+          }],
+          // Keep the activity document bounded
+          $slice: -MAX_CLICK_EVENTS
+        }
+      }
+    });
+
+    // A scanner that clicked every link: earlier clicks in the same burst
+    // were counted as human and are re-labelled now
+    if (burst && burst.length > 0) {
+      const relabelled = await EmailActivity.findOneAndUpdate(
+        { _id: activity._id },
+        {
+          $set: {
+            'tracking.clickEvents.$[event].isMachine': true,
+            'tracking.clickEvents.$[event].machineReason': reason
+          },
+          $inc: {
+            'tracking.humanClicks': -burst.length,
+            'tracking.machineClicks': burst.length
+          }
+        },
+        { arrayFilters: [{ 'event._id': { $in: burst.map(event => event._id) } }], new: true }
+      ).select('campaign recipient tracking.humanClicks tracking.humanOpens tracking.deliveredAt');
+
+      if (relabelled && relabelled.tracking.humanClicks <= 0) {
+        await revertScannerClick(relabelled);
+      }
+    }
+
+    if (!isMachine) {
+      await EmailActivity.updateOne(
+        { _id: activity._id, status: { $in: ['sent', 'delivered', 'opened'] } },
+        { $set: { status: 'clicked' } }
+      );
+      // A click implies the email was opened even if the pixel was blocked
+      await EmailActivity.updateOne(
+        { _id: activity._id, 'tracking.openedAt': { $exists: false } },
+        { $set: { 'tracking.openedAt': now } }
+      );
+
+      await CampaignStats.recordClick(activity, now);
+    }
+
     // Redirect to original URL
-    res.redirect(url || 'https://example.com');
+    res.redirect(url);
   } catch (error) {
     console.error('Track click error:', error);
-    res.redirect('https://example.com');
+    sendInvalidLink(res);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Take back what a scanner's clicks recorded while they looked human: the
+// activity and the campaign recipient return to opened, or to sent when the
+// pixel never loaded either, and the campaign's click stats drop with them
+async function revertScannerClick(activity) {
+  const opened = activity.tracking.humanOpens > 0;
+  const status = opened ? 'opened' : (activity.tracking.deliveredAt ? 'delivered' : 'sent');
+
+  await EmailActivity.updateOne(
+    { _id: activity._id, status: 'clicked' },
+    {
+      $set: { status },
+      $unset: { 'tracking.clickedAt': '', ...(opened ? {} : { 'tracking.openedAt': '' }) }
+    }
+  );
+
+  await CampaignStats.revertClick(activity, status);
+}
+
+// Signed links must match their signature. Unsigned links are only honoured
+// for emails sent before signing was introduced, within the transition
+// window, and only for URLs that actually appear in that email.
+function isTrustedClick(activity, url, linkIndex, sig) {
+  if (sig) {
+    return /^\d+$/.test(String(linkIndex)) && TrackingInjector.verifyClick(activity._id, parseInt(linkIndex, 10), url, sig);
+  }
+
+  if (activity.tracking?.signedLinks) return false;
+
+  const sentAt = activity.tracking?.sentAt || activity.createdAt;
+  if (!sentAt || Date.now() - sentAt.getTime() > LEGACY_LINK_WINDOW) return false;
+
+  return TrackingInjector.containsLink(activity.emailDetails?.content, url);
+}
+
+function sendInvalidLink(res) {
+  res.status(400).set('Content-Type', 'text/html').send(`
+    <!DOCTYPE html>
+    <html>
+      <head><meta charset="utf-8"><title>Invalid link</title></head>
+      <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 80px auto; text-align: center; color: #333;">
+        <h2>This link is invalid or has expired</h2>
+        <p style="color: #666;">The link you followed could not be verified. Please use the original link from the email.</p>
+      </body>
+    </html>
+  `);
+}
+
+module.exports = router;
@@ -2,9 +2,13 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
 const User = require('../models/User');
 const EmailActivity = require('../models/EmailActivity');
 const nodemailer = require('nodemailer');
+const SuppressionList = require('../services/SuppressionList');
+const HtmlToText = require('../services/HtmlToText');
+const AttachmentStore = require('../services/AttachmentStore');
 
 const router = express.Router();
 
@@ -15,7 +19,9 @@ router.post('/send', [
   auth,
   body('to').isEmail().withMessage('Valid recipient email is required'),
   body('subject').trim().isLength({ min: 1 }).withMessage('Subject is required'),
-  body('content').trim().isLength({ min: 1 }).withMessage('Content is required')
+  body('content').trim().isLength({ min: 1 }).withMessage('Content is required'),
+  body('text').optional().isString().withMessage('Text must be a string'),
+  body('attachmentIds').optional().isArray().withMessage('Attachment ids must be an array')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -30,6 +36,21 @@ router.post('/send', [
     const { to, subject, content, fromName, fromEmail } = req.body;
     const userId = req.user.id;
 
+    if (await SuppressionList.isSuppressed(userId, to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipient is on your suppression list'
+      });
+    }
+
+    const { attachments, error: attachmentError } = await AttachmentStore.resolve(req.user, req.body.attachmentIds);
+    if (attachmentError) {
+      return res.status(400).json({
+        success: false,
+        message: attachmentError
+      });
+    }
+
     // Create email activity record
     const emailActivity = new EmailActivity({
       user: userId,
@@ -44,6 +65,8 @@ router.post('/send', [
       emailDetails: {
         subject,
         content,
+        // Plain-text alternative, generated from the HTML unless given
+        textContent: req.body.text || HtmlToText.convert(content),
         messageId: `email_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
       },
       status: 'sent',
@@ -53,10 +76,14 @@ router.post('/send', [
       response: {
         smtpResponse: 'Email sent successfully',
         deliveryStatus: 'sent'
+      },
+      metadata: {
+        attachments: AttachmentStore.toActivityRecords(attachments)
       }
     });
 
     await emailActivity.save();
+    await AttachmentStore.markUsed(attachments);
 
     // Update user usage
     const user = await User.findById(userId);
@@ -139,7 +166,7 @@ router.get('/campaigns/:id', auth, async (req, res) => {
     
     res.json({
       success: true,
-      data: campaign
+      data: await campaign.withRecipients(req.query.recipientLimit)
     });
   } catch (error) {
     console.error('Get campaign error:', error);
@@ -169,6 +196,7 @@ router.delete('/campaigns/:id', auth, async (req, res) => {
     }
     
     await Campaign.findByIdAndDelete(req.params.id);
+    await CampaignRecipient.deleteMany({ campaign: campaign._id });
     
     res.json({
       success: true,
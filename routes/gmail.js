@@ -1,8 +1,13 @@
 const express = require('express');
+const axios = require('axios');
+const MailComposer = require('nodemailer/lib/mail-composer');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const User = require('../models/User');
 const Campaign = require('../models/Campaign');
+const SuppressionList = require('../services/SuppressionList');
+const HtmlToText = require('../services/HtmlToText');
+const AttachmentStore = require('../services/AttachmentStore');
 
 const router = express.Router();
 
@@ -116,7 +121,9 @@ router.post('/send', [
   body('fromEmail').isEmail().withMessage('Valid from email is required'),
   body('to').isEmail().withMessage('Valid recipient email is required'),
   body('subject').trim().isLength({ min: 1 }).withMessage('Subject is required'),
-  body('message').trim().isLength({ min: 1 }).withMessage('Message is required')
+  body('message').trim().isLength({ min: 1 }).withMessage('Message is required'),
+  body('text').optional().isString().withMessage('Text must be a string'),
+  body('attachmentIds').optional().isArray().withMessage('Attachment ids must be an array')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -131,6 +138,21 @@ router.post('/send', [
     const { fromEmail, to, subject, message } = req.body;
     const userId = req.user.id;
 
+    if (await SuppressionList.isSuppressed(userId, to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipient is on your suppression list'
+      });
+    }
+
+    const { attachments, error: attachmentError } = await AttachmentStore.resolve(req.user, req.body.attachmentIds);
+    if (attachmentError) {
+      return res.status(400).json({
+        success: false,
+        message: attachmentError
+      });
+    }
+
     const user = await User.findById(userId);
     const gmailAccount = user.emailAccounts.find(acc => acc.email === fromEmail && acc.type === 'gmail');
 
@@ -157,21 +179,21 @@ router.post('/send', [
       });
     }
 
-    // In a real implementation, you would:
-    // 1. Use Gmail API to send the email
-    // 2. Handle token refresh if needed
-    // 3. Track delivery status
-
-    // For now, simulate sending
     const emailSent = await sendGmailEmail({
-      accessToken: gmailAccount.accessToken,
+      account: gmailAccount,
       from: fromEmail,
       to,
       subject,
-      message
+      message,
+      // Plain-text alternative, generated from the HTML unless given
+      text: req.body.text || HtmlToText.convert(message),
+      headers: SuppressionList.listUnsubscribeHeaders(SuppressionList.unsubscribeUrl(userId, to)),
+      attachments: AttachmentStore.toMailAttachments(attachments)
     });
 
     if (emailSent.success) {
+      await AttachmentStore.markUsed(attachments);
+
       // Update sent count
       gmailAccount.sentToday += 1;
       user.usage.emailsSent += 1;
@@ -274,37 +296,53 @@ router.get('/quota/:email', auth, async (req, res) => {
   }
 });
 
-// Helper function to send email via Gmail API
-async function sendGmailEmail({ accessToken, from, to, subject, message }) {
+const GMAIL_SEND_URL = 'https://gmail.googleapis.com/gmail/v1/users/me/messages/send';
+
+// Send via the Gmail API. The message is built as RFC 2822: HTML with its
+// plain-text alternative, the extra `headers`, and multipart/mixed when
+// there are attachments. An expired access token is refreshed once; the
+// new token is set on `account` for the caller to save.
+async function sendGmailEmail({ account, from, to, subject, message, text, headers, attachments }) {
   try {
-    // In a real implementation, you would:
-    // 1. Use Google APIs client library
-    // 2. Create email message in RFC 2822 format
-    // 3. Send via Gmail API
-    // 4. Handle authentication and token refresh
-
-    // Simulate API call
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Simulate success/failure
-    if (Math.random() > 0.1) { // 90% success rate
-      return {
-        success: true,
-        messageId: `gmail_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      };
-    } else {
-      return {
-        success: false,
-        error: 'Gmail API error: Rate limit exceeded'
-      };
+    const mime = await new MailComposer({ from, to, subject, html: message, text, headers, attachments })
+      .compile()
+      .build();
+    const send = () => axios.post(
+      GMAIL_SEND_URL,
+      { raw: mime.toString('base64url') },
+      { headers: { Authorization: `Bearer ${account.accessToken}` } }
+    );
+
+    let response;
+    try {
+      response = await send();
+    } catch (error) {
+      if (error.response?.status !== 401 || !account.refreshToken) throw error;
+      account.accessToken = await refreshAccessToken(account.refreshToken);
+      response = await send();
     }
+
+    return {
+      success: true,
+      messageId: response.data.id
+    };
   } catch (error) {
-    console.error('Send Gmail email error:', error);
+    console.error('Send Gmail email error:', error.response?.data || error);
     return {
       success: false,
-      error: error.message
+      error: error.response?.data?.error?.message || error.message
     };
   }
 }
 
+async function refreshAccessToken(refreshToken) {
+  const response = await axios.post('https://oauth2.googleapis.com/token', new URLSearchParams({
+    client_id: process.env.GMAIL_CLIENT_ID,
+    client_secret: process.env.GMAIL_CLIENT_SECRET,
+    refresh_token: refreshToken,
+    grant_type: 'refresh_token'
+  }));
+  return response.data.access_token;
+}
+
 module.exports = router;
\ No newline at end of file
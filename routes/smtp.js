@@ -4,9 +4,21 @@ const { auth } = require('../middleware/auth');
 const SMTPConfig = require('../models/SMTPConfig');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const HtmlToText = require('../services/HtmlToText');
+const SmtpPool = require('../services/SmtpPool');
 
 const router = express.Router();
 
+// Rotation weight, sending caps and warm-up ramp, shared by create and update
+const sendingLimitRules = [
+  body('weight').optional().isInt({ min: 1, max: 100 }).withMessage('Weight must be between 1 and 100'),
+  body('limits.daily').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Daily limit must be a positive number'),
+  body('limits.hourly').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Hourly limit must be a positive number'),
+  body('warmup.enabled').optional().isBoolean().withMessage('Warm-up enabled must be a boolean'),
+  body('warmup.startVolume').optional().isInt({ min: 1 }).withMessage('Warm-up start volume must be a positive number'),
+  body('warmup.dailyIncrease').optional().isFloat({ min: 0, max: 1 }).withMessage('Warm-up daily increase must be between 0 and 1')
+];
+
 // Encryption functions for storing SMTP passwords
 const algorithm = 'aes-256-cbc';
 const secretKey = process.env.ENCRYPTION_KEY || crypto.randomBytes(32);
@@ -41,7 +53,11 @@ router.get('/configs', auth, async (req, res) => {
 
     res.json({
       success: true,
-      data: configs
+      data: configs.map(config => ({
+        ...config.toObject(),
+        // Today's cap after the warm-up ramp
+        dailyCap: SmtpPool.dailyCap(config)
+      }))
     });
   } catch (error) {
     console.error('Get SMTP configs error:', error);
@@ -63,7 +79,8 @@ router.post('/configs', [
   body('username').trim().isLength({ min: 1 }).withMessage('Username is required'),
   body('password').isLength({ min: 1 }).withMessage('Password is required'),
   body('fromName').trim().isLength({ min: 1 }).withMessage('From name is required'),
-  body('fromEmail').isEmail().withMessage('Valid from email is required')
+  body('fromEmail').isEmail().withMessage('Valid from email is required'),
+  ...sendingLimitRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -75,7 +92,7 @@ router.post('/configs', [
       });
     }
 
-    const { name, host, port, secure, username, password, fromName, fromEmail } = req.body;
+    const { name, host, port, secure, username, password, fromName, fromEmail, weight, limits, warmup } = req.body;
 
     // Encrypt password before storing
     const encryptedPassword = encrypt(password);
@@ -89,7 +106,10 @@ router.post('/configs', [
       username,
       password: encryptedPassword,
       fromName,
-      fromEmail
+      fromEmail,
+      weight,
+      limits,
+      warmup
     });
 
     await smtpConfig.save();
@@ -164,11 +184,13 @@ router.post('/test/:id', auth, async (req, res) => {
       `
     };
 
+    testEmail.text = HtmlToText.convert(testEmail.html);
     await transporter.sendMail(testEmail);
 
-    // Update config as verified
+    // Update config as verified; a passing test puts it back into rotation
     config.isVerified = true;
     config.lastTested = new Date();
+    config.health = { status: 'healthy', failures: 0 };
     await config.save();
 
     res.json({
@@ -195,7 +217,8 @@ router.put('/configs/:id', [
   body('username').optional().trim().isLength({ min: 1 }),
   body('password').optional().isLength({ min: 1 }),
   body('fromName').optional().trim().isLength({ min: 1 }),
-  body('fromEmail').optional().isEmail()
+  body('fromEmail').optional().isEmail(),
+  ...sendingLimitRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -219,8 +242,23 @@ router.put('/configs/:id', [
       });
     }
 
-    const updateData = { ...req.body };
-    
+    // Counters and health are maintained by the sender
+    const { usage, health, limits, warmup, ...updateData } = req.body;
+
+    // Nested settings are merged rather than replaced
+    ['daily', 'hourly']
+      .filter(key => limits && key in limits)
+      .forEach(key => config.set(`limits.${key}`, limits[key]));
+    if (warmup) {
+      // Switching warm-up back on restarts the ramp
+      if (warmup.enabled && !config.warmup.enabled) {
+        config.warmup.startedAt = undefined;
+      }
+      ['enabled', 'startVolume', 'dailyIncrease']
+        .filter(key => key in warmup)
+        .forEach(key => config.set(`warmup.${key}`, warmup[key]));
+    }
+
     // Encrypt password if provided
     if (updateData.password) {
       updateData.password = encrypt(updateData.password);
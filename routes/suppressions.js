@@ -0,0 +1,145 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Suppression = require('../models/Suppression');
+const SuppressionList = require('../services/SuppressionList');
+
+const router = express.Router();
+
+// @route   GET /api/suppressions
+// @desc    Get user's suppression list
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, reason, search } = req.query;
+
+    const query = { user: req.user.id };
+    if (reason) query.reason = reason;
+    if (search) query.email = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const suppressions = await Suppression.find(query)
+      .populate('source.campaign', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Suppression.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: suppressions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get suppressions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/suppressions
+// @desc    Suppress one or more addresses
+// @access  Private
+router.post('/', [
+  auth,
+  body('emails').isArray({ min: 1, max: 1000 }).withMessage('Provide between 1 and 1000 emails'),
+  body('emails.*').isEmail().withMessage('Each entry must be a valid email'),
+  body('reason').optional().isIn(['unsubscribe', 'hard_bounce', 'complaint', 'manual']).withMessage('Invalid reason'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { emails, reason = 'manual', note } = req.body;
+
+    const added = [];
+    for (const email of emails) {
+      added.push(await SuppressionList.add(req.user.id, email, reason, { note }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${added.length} address(es) suppressed`,
+      data: added
+    });
+  } catch (error) {
+    console.error('Add suppressions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/suppressions/check/:email
+// @desc    Check whether an address is suppressed
+// @access  Private
+router.get('/check/:email', auth, async (req, res) => {
+  try {
+    const suppression = await Suppression.findOne({
+      user: req.user.id,
+      email: SuppressionList.normalize(req.params.email)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        email: SuppressionList.normalize(req.params.email),
+        suppressed: Boolean(suppression),
+        suppression
+      }
+    });
+  } catch (error) {
+    console.error('Check suppression error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/suppressions/:id
+// @desc    Remove an address from the suppression list
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const suppression = mongoose.isValidObjectId(req.params.id)
+      ? await Suppression.findOneAndDelete({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suppression not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Address removed from suppression list'
+    });
+  } catch (error) {
+    console.error('Delete suppression error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const Template = require('../models/Template');
+const TemplateRenderer = require('../services/TemplateRenderer');
+const HtmlToText = require('../services/HtmlToText');
 const multer = require('multer');
 const path = require('path');
 
@@ -250,8 +252,9 @@ router.get('/:id', auth, async (req, res) => {
 router.post('/', [
   auth,
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Template name is required'),
-  body('subject').trim().isLength({ min: 1 }).withMessage('Subject is required'),
-  body('content').trim().isLength({ min: 1 }).withMessage('Content is required'),
+  body('subject').trim().isLength({ min: 1 }).withMessage('Subject is required').bail().custom(isValidTemplate),
+  body('content').trim().isLength({ min: 1 }).withMessage('Content is required').bail().custom(isValidTemplate),
+  body('textContent').optional().isString().bail().custom(isValidTemplate),
   body('category').optional().isIn(['newsletter', 'promotional', 'transactional', 'welcome', 'follow-up', 'other'])
 ], async (req, res) => {
   try {
@@ -264,13 +267,14 @@ router.post('/', [
       });
     }
 
-    const { name, subject, content, category } = req.body;
+    const { name, subject, content, textContent, category } = req.body;
 
     const template = new Template({
       user: req.user.id,
       name,
       subject,
       content,
+      textContent: textContent || undefined,
       category: category || 'other',
       type: 'custom'
     });
@@ -336,14 +340,70 @@ router.post('/upload', [auth, upload.single('template')], async (req, res) => {
   }
 });
 
+// @route   POST /api/templates/preview
+// @desc    Render a subject and content with sample merge data
+// @access  Private
+router.post('/preview', [
+  auth,
+  body('content').isLength({ min: 1 }).withMessage('Content is required').bail().custom(isValidTemplate),
+  body('subject').optional().custom(isValidTemplate),
+  body('textContent').optional().isString().bail().custom(isValidTemplate),
+  body('contact').optional().isObject().withMessage('Contact must be an object'),
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { subject = '', content, textContent, contact = {}, variables = {} } = req.body;
+
+    const context = TemplateRenderer.buildContext({
+      campaign: { settings: { fromName: req.user.name, fromEmail: req.user.email } },
+      recipient: {
+        email: contact.email || req.user.email,
+        name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+        data: contact
+      },
+      variables
+    });
+
+    const html = TemplateRenderer.render(content, context);
+
+    res.json({
+      success: true,
+      data: {
+        subject: TemplateRenderer.renderSubject(subject, context),
+        content: html,
+        textContent: textContent
+          ? TemplateRenderer.render(textContent, context, { html: false })
+          : HtmlToText.convert(html),
+        variables: TemplateRenderer.variables(`${subject}\n${content}`)
+      }
+    });
+  } catch (error) {
+    console.error('Preview template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/templates/:id
 // @desc    Update template
 // @access  Private
 router.put('/:id', [
   auth,
   body('name').optional().trim().isLength({ min: 1, max: 100 }),
-  body('subject').optional().trim().isLength({ min: 1 }),
-  body('content').optional().trim().isLength({ min: 1 }),
+  body('subject').optional().trim().isLength({ min: 1 }).bail().custom(isValidTemplate),
+  body('content').optional().trim().isLength({ min: 1 }).bail().custom(isValidTemplate),
+  body('textContent').optional().isString().bail().custom(isValidTemplate),
   body('category').optional().isIn(['newsletter', 'promotional', 'transactional', 'welcome', 'follow-up', 'other'])
 ], async (req, res) => {
   try {
@@ -455,4 +515,11 @@ router.get('/download/:id', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// express-validator check that a subject or body parses as a template
+function isValidTemplate(value) {
+  TemplateRenderer.validate(value);
+  return true;
+}
+
+module.exports = router;
+module.exports.systemTemplates = systemTemplates;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const express = require('express');
+const SuppressionList = require('../services/SuppressionList');
+
+const router = express.Router();
+
+// @route   GET /api/unsubscribe/:token
+// @desc    Unsubscribe confirmation page
+// @access  Public
+router.get('/:token', (req, res) => {
+  const subscription = SuppressionList.verifyToken(req.params.token);
+  if (!subscription) {
+    return sendPage(res.status(400), 'This link is invalid or has expired',
+      '<p style="color: #666;">The unsubscribe link could not be verified. Please use the original link from the email.</p>');
+  }
+
+  // Unsubscribing only happens on POST, so link scanners that prefetch the
+  // page can't opt the recipient out
+  sendPage(res, 'Unsubscribe', `
+    <p style="color: #666;">Stop receiving emails at <strong>${escapeHtml(subscription.email)}</strong>?</p>
+    <form method="POST" action="${escapeHtml(req.originalUrl)}">
+      <button type="submit" style="background: #333; color: #fff; border: 0; padding: 10px 24px; border-radius: 4px; cursor: pointer;">Unsubscribe</button>
+    </form>
+  `);
+});
+
+// @route   POST /api/unsubscribe/:token
+// @desc    Unsubscribe (confirmation form and RFC 8058 one-click)
+// @access  Public
+router.post('/:token', async (req, res) => {
+  try {
+    const subscription = SuppressionList.verifyToken(req.params.token);
+    if (!subscription) {
+      return sendPage(res.status(400), 'This link is invalid or has expired',
+        '<p style="color: #666;">The unsubscribe link could not be verified. Please use the original link from the email.</p>');
+    }
+
+    await SuppressionList.add(subscription.userId, subscription.email, 'unsubscribe', {
+      campaign: subscription.campaignId,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      note: req.body && req.body['List-Unsubscribe'] === 'One-Click' ? 'One-click unsubscribe' : undefined
+    });
+
+    sendPage(res, 'You have been unsubscribed',
+      `<p style="color: #666;"><strong>${escapeHtml(subscription.email)}</strong> will no longer receive these emails.</p>`);
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    sendPage(res.status(500), 'Something went wrong',
+      '<p style="color: #666;">We could not process your request. Please try again later.</p>');
+  }
+});
+
+function sendPage(res, title, content) {
+  res.set('Content-Type', 'text/html').send(`
+    <!DOCTYPE html>
+    <html>
+      <head><meta charset="utf-8"><title>${title}</title></head>
+      <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 80px auto; text-align: center; color: #333;">
+        <h2>${title}</h2>
+        ${content}
+      </body>
+    </html>
+  `);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = router;
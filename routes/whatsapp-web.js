@@ -10,6 +10,7 @@ const WhatsAppCampaign = require('../models/WhatsAppCampaign');
 const WhatsAppMessage = require('../models/WhatsAppMessage');
 const WhatsAppContactList = require('../models/WhatsAppContactList');
 const WhatsAppWebService = require('../services/WhatsAppWebService');
+const CampaignScheduler = require('../services/CampaignScheduler');
 const User = require('../models/User');
 
 const router = express.Router();
@@ -801,6 +802,14 @@ router.post('/send', [
       });
     }
 
+    const schedule = parseSchedule(req.body, req.user);
+    if (schedule.error) {
+      return res.status(400).json({
+        success: false,
+        message: schedule.error
+      });
+    }
+
     // Create campaign for bulk send
     const campaign = new WhatsAppCampaign({
       user: userId,
@@ -811,11 +820,27 @@ router.post('/send', [
         content: messageContent,
         status: 'pending'
       })),
-      status: 'running'
+      schedule,
+      status: schedule.isScheduled ? 'scheduled' : 'running'
     });
 
     await campaign.save();
 
+    // Scheduled campaigns are launched by the campaign scheduler
+    if (schedule.isScheduled) {
+      return res.json({
+        success: true,
+        message: 'Messages scheduled for sending',
+        data: {
+          campaignId: campaign._id,
+          recipientCount: validatedRecipients.length,
+          accountName: account.accountName,
+          scheduledAt: schedule.scheduledAt,
+          repeatType: schedule.repeatType
+        }
+      });
+    }
+
     // Process campaign (this should be handled by a background job)
     try {
       // Process campaign asynchronously
@@ -1091,4 +1116,36 @@ router.get('/analytics', auth, async (req, res) => {
   }
 });
 
+// Schedule of a send request, checked like an email campaign's. A
+// `scheduledAt` without a UTC offset is wall-clock time in `timezone`.
+// Returns the campaign's `schedule` fields or `{ error }`.
+function parseSchedule(request, user) {
+  const { scheduleType = 'now', scheduledAt, repeatType = 'none', repeatUntil } = request;
+  const timezone = request.timezone || user.settings?.timezone || 'UTC';
+
+  if (!['now', 'scheduled'].includes(scheduleType)) return { error: 'Invalid schedule type' };
+  if (!CampaignScheduler.isValidTimezone(timezone)) return { error: 'Invalid timezone' };
+  if (!['none', 'daily', 'weekly', 'monthly'].includes(repeatType)) return { error: 'Invalid repeat type' };
+  if (scheduleType === 'now') return { isScheduled: false, timezone, repeatType: 'none' };
+
+  if (!scheduledAt) return { error: 'Schedule time is required' };
+  const scheduledDate = CampaignScheduler.parseScheduledAt(scheduledAt, request.timezone);
+  if (!scheduledDate) return { error: 'Invalid schedule time' };
+
+  let repeatUntilDate = null;
+  if (repeatUntil) {
+    repeatUntilDate = new Date(repeatUntil);
+    if (isNaN(repeatUntilDate.getTime())) return { error: 'Invalid repeat end date' };
+  }
+
+  return {
+    isScheduled: true,
+    scheduledAt: scheduledDate,
+    timezone,
+    repeatType,
+    repeatUntil: repeatUntilDate,
+    startAt: scheduledDate
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,12 @@ const rateLimit = require('express-rate-limit');
 const http = require('http');
 const socketIo = require('socket.io');
 require('dotenv').config();
+const CampaignQueue = require('./services/CampaignQueue');
+const CampaignSender = require('./services/CampaignSender');
+const CampaignScheduler = require('./services/CampaignScheduler');
+const CampaignStats = require('./services/CampaignStats');
+const BounceProcessor = require('./services/BounceProcessor');
+const AutomationRunner = require('./services/AutomationRunner');
 
 const app = express();
 const server = http.createServer(app);
@@ -41,6 +47,9 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
+// The bounce webhook is mounted ahead of the limiter: an ESP posts DSNs in
+// bulk from a few IPs, and the endpoint is protected by its secret
+app.use('/api/bounces', require('./routes/bounces'));
 app.use('/api/', limiter);
 
 // MongoDB connection
@@ -48,7 +57,19 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/marketing
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(async () => {
+  console.log('MongoDB connected successfully');
+
+  // Recipients must be in their own collection before anything sends
+  await CampaignStats.moveEmbeddedRecipients();
+
+  // Start campaign delivery workers and pick up campaigns interrupted by a restart
+  CampaignQueue.start();
+  CampaignSender.resumeInterrupted();
+  CampaignScheduler.start();
+  BounceProcessor.start();
+  AutomationRunner.start();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -69,6 +90,10 @@ app.use('/api/contacts', require('./routes/contacts'));
 app.use('/api/templates', require('./routes/templates'));
 app.use('/api/campaigns', require('./routes/campaigns'));
 app.use('/api/email-tracking', require('./routes/email-tracking'));
+app.use('/api/suppressions', require('./routes/suppressions'));
+app.use('/api/attachments', require('./routes/attachments'));
+app.use('/api/automations', require('./routes/automations'));
+app.use('/api/unsubscribe', require('./routes/unsubscribe'));
 app.use('/api/whatsapp-web', require('./routes/whatsapp-web'));
 
 // New subscription routes with Cashfree integration
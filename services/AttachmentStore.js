@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+
+const MB = 1024 * 1024;
+
+const BASIC_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv'
+};
+
+const OFFICE_TYPES = {
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.ics': 'text/calendar'
+};
+
+// Per-plan limits: size of one file, files per email, combined size per email
+// and the allowed file types
+const PLAN_LIMITS = {
+  starter: { maxFileSize: 2 * MB, maxFiles: 3, maxTotalSize: 5 * MB, types: BASIC_TYPES },
+  professional: { maxFileSize: 10 * MB, maxFiles: 5, maxTotalSize: 15 * MB, types: { ...BASIC_TYPES, ...OFFICE_TYPES } },
+  business: { maxFileSize: 10 * MB, maxFiles: 10, maxTotalSize: 20 * MB, types: { ...BASIC_TYPES, ...OFFICE_TYPES } },
+  enterprise: {
+    maxFileSize: 20 * MB,
+    maxFiles: 10,
+    maxTotalSize: 25 * MB,
+    types: { ...BASIC_TYPES, ...OFFICE_TYPES, '.zip': 'application/zip' }
+  }
+};
+
+// Uploaded email attachments. Files are stored once per user, keyed by their
+// checksum, and campaigns and single sends refer to them by id.
+class AttachmentStore {
+  constructor() {
+    this.root = path.join(__dirname, '../uploads/attachments');
+    // Largest file any plan accepts; multer's hard limit
+    this.maxUploadSize = Math.max(...Object.values(PLAN_LIMITS).map(limits => limits.maxFileSize));
+  }
+
+  limitsFor(user) {
+    return PLAN_LIMITS[user.plan] || PLAN_LIMITS.starter;
+  }
+
+  // Why `file` can't be uploaded on the user's plan, or null
+  checkFile(user, file) {
+    const limits = this.limitsFor(user);
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (!limits.types[extension]) {
+      return `${extension || 'This file type'} attachments are not allowed on your plan`;
+    }
+    if (file.size !== undefined && file.size > limits.maxFileSize) {
+      return `${file.originalname} exceeds the ${limits.maxFileSize / MB} MB attachment limit for your plan`;
+    }
+    return null;
+  }
+
+  // Store an uploaded file (multer memory storage). Returns the existing
+  // attachment when the user already uploaded the same file.
+  async save(user, file) {
+    const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+    const existing = await Attachment.findOne({ user: user._id, checksum });
+    if (existing) return existing;
+
+    const extension = path.extname(file.originalname).toLowerCase();
+    const directory = path.join(this.root, String(user._id));
+    const filePath = path.join(directory, `${checksum}${extension}`);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(filePath, file.buffer);
+
+    const attachment = new Attachment({
+      user: user._id,
+      filename: path.basename(file.originalname),
+      contentType: this.limitsFor(user).types[extension] || file.mimetype,
+      size: file.size,
+      checksum,
+      path: filePath
+    });
+
+    try {
+      await attachment.save();
+    } catch (error) {
+      // A concurrent upload of the same file won the race
+      if (error.code === 11000) return Attachment.findOne({ user: user._id, checksum });
+      throw error;
+    }
+
+    return attachment;
+  }
+
+  // Resolve attachment ids for a send and check them against the user's
+  // plan. Returns `{ attachments }` or `{ error }`.
+  async resolve(user, ids = []) {
+    if (!Array.isArray(ids) || ids.length === 0) return { attachments: [] };
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    if (!uniqueIds.every(id => mongoose.isValidObjectId(id))) {
+      return { error: 'Invalid attachment id' };
+    }
+
+    const limits = this.limitsFor(user);
+    if (uniqueIds.length > limits.maxFiles) {
+      return { error: `Your plan allows up to ${limits.maxFiles} attachments per email` };
+    }
+
+    const attachments = await Attachment.find({ _id: { $in: uniqueIds }, user: user._id });
+    if (attachments.length !== uniqueIds.length) {
+      return { error: 'Attachment not found' };
+    }
+
+    const totalSize = attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+    if (totalSize > limits.maxTotalSize) {
+      return { error: `Attachments exceed the ${limits.maxTotalSize / MB} MB per-email limit for your plan` };
+    }
+
+    return { attachments };
+  }
+
+  async markUsed(attachments) {
+    if (attachments.length === 0) return;
+    await Attachment.updateMany(
+      { _id: { $in: attachments.map(attachment => attachment._id) } },
+      { $inc: { usageCount: 1 }, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  // nodemailer attachment entries
+  toMailAttachments(attachments) {
+    return attachments.map(attachment => ({
+      filename: attachment.filename,
+      path: attachment.path,
+      contentType: attachment.contentType
+    }));
+  }
+
+  // What EmailActivity.metadata.attachments records
+  toActivityRecords(attachments) {
+    return attachments.map(attachment => ({
+      attachment: attachment._id,
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: attachment.size
+    }));
+  }
+
+  async remove(attachment) {
+    await fs.promises.unlink(attachment.path).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    await Attachment.deleteOne({ _id: attachment._id });
+  }
+}
+
+module.exports = new AttachmentStore();
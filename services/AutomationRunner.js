@@ -0,0 +1,333 @@
+const cron = require('node-cron');
+const Automation = require('../models/Automation');
+const AutomationEnrollment = require('../models/AutomationEnrollment');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const ContactList = require('../models/ContactList');
+const CampaignSender = require('./CampaignSender');
+const CampaignStats = require('./CampaignStats');
+const SuppressionList = require('./SuppressionList');
+
+const MINUTE = 60 * 1000;
+const UNITS = { minutes: MINUTE, hours: 60 * MINUTE, days: 24 * 60 * MINUTE };
+
+// Moves contacts through automation sequences. Each email step sends through
+// a campaign of its own that stays open while the automation runs: reaching
+// the step adds the contact as a recipient and the campaign sender delivers
+// and tracks it like any other campaign. Branches read the contact's
+// engagement back from that campaign.
+class AutomationRunner {
+  constructor() {
+    this.task = null;
+    this.running = false;
+    // Enrollments advanced per tick; the rest wait for the next minute
+    this.batchSize = 200;
+    this.lockDuration = 5 * MINUTE;
+    // How often a branch re-checks an email that hasn't gone out yet, and
+    // how long it waits in all, e.g. while the step's campaign is paused
+    this.recheckDelay = 15 * MINUTE;
+    this.maxUnsentWait = 3 * UNITS.days;
+  }
+
+  start() {
+    if (this.task) return;
+    this.task = cron.schedule('* * * * *', () => this.tick());
+    console.log('Automation runner started');
+
+    this.tick();
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const automations = new Map(
+        (await Automation.find({ status: 'active' })).map(automation => [String(automation._id), automation])
+      );
+      if (automations.size === 0) return;
+
+      const campaigns = new Map();
+
+      for (let i = 0; i < this.batchSize; i++) {
+        const enrollment = await this.claimDue(Array.from(automations.keys()));
+        if (!enrollment) break;
+
+        try {
+          await this.advance(automations.get(String(enrollment.automation)), enrollment, campaigns);
+        } catch (error) {
+          console.error(`Automation enrollment ${enrollment._id} error:`, error);
+          await AutomationEnrollment.updateOne(
+            { _id: enrollment._id },
+            { $set: { nextRunAt: new Date(Date.now() + this.recheckDelay) }, $unset: { lockedUntil: '' } }
+          );
+        }
+      }
+
+      // Deliver what this tick added to the step campaigns
+      for (const campaign of campaigns.values()) {
+        await CampaignSender.enqueue(campaign);
+      }
+    } catch (error) {
+      console.error('Automation runner error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Lock the next due enrollment so a second instance can't advance it too
+  async claimDue(automationIds) {
+    const now = new Date();
+
+    return AutomationEnrollment.findOneAndUpdate(
+      {
+        automation: { $in: automationIds },
+        status: 'active',
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + this.lockDuration) } },
+      { sort: { nextRunAt: 1 }, new: true }
+    );
+  }
+
+  // Run steps until the contact has to wait or reaches the end. Targets
+  // only point forward, so this always stops.
+  async advance(automation, enrollment, campaigns) {
+    const now = new Date();
+    let index = enrollment.currentStep;
+
+    while (index >= 0 && index < automation.steps.length) {
+      const step = automation.steps[index];
+
+      if (step.type === 'email') {
+        const result = await this.sendStep(automation, step, enrollment, campaigns);
+        enrollment.history.push({ step: index, type: step.type, result, campaign: step.campaign, at: now });
+
+        if (result === 'suppressed') {
+          return this.finish(automation, enrollment, index, 'exited', 'Address is on the suppression list');
+        }
+        index = this.target(step.next, index);
+        continue;
+      }
+
+      if (step.type === 'wait') {
+        if (!enrollment.waitUntil) {
+          enrollment.waitUntil = new Date(now.getTime() + step.duration * UNITS[step.unit]);
+          enrollment.history.push({ step: index, type: step.type, result: 'waiting', at: now });
+        }
+
+        if (enrollment.waitUntil > now) {
+          return this.pause(enrollment, index, enrollment.waitUntil);
+        }
+
+        enrollment.waitUntil = undefined;
+        index = this.target(step.next, index);
+        continue;
+      }
+
+      // Branch
+      const engaged = await this.engaged(automation, step, enrollment, now);
+      if (engaged === null) {
+        return this.pause(enrollment, index, new Date(now.getTime() + this.recheckDelay));
+      }
+
+      enrollment.history.push({ step: index, type: step.type, result: engaged ? 'yes' : 'no', at: now });
+      index = this.target(engaged ? step.ifTrue : step.ifFalse, index);
+    }
+
+    return this.finish(automation, enrollment, automation.steps.length, 'completed');
+  }
+
+  // Step a target points to: the following step when unset, -1 for the end
+  target(value, index) {
+    return value === undefined || value === null ? index + 1 : value;
+  }
+
+  async pause(enrollment, index, until) {
+    enrollment.currentStep = index;
+    enrollment.nextRunAt = until;
+    enrollment.lockedUntil = undefined;
+    await enrollment.save();
+  }
+
+  async finish(automation, enrollment, index, status, exitReason) {
+    enrollment.currentStep = index;
+    enrollment.status = status;
+    enrollment.exitReason = exitReason;
+    enrollment.completedAt = new Date();
+    enrollment.nextRunAt = undefined;
+    enrollment.lockedUntil = undefined;
+    await enrollment.save();
+
+    await Automation.updateOne(
+      { _id: automation._id },
+      { $inc: { [status === 'completed' ? 'stats.completed' : 'stats.exited']: 1 } }
+    );
+  }
+
+  // Add the contact to the step's campaign. Returns 'sent', or
+  // 'suppressed' when the address has unsubscribed or bounced since it
+  // was enrolled.
+  async sendStep(automation, step, enrollment, campaigns) {
+    const suppressed = await SuppressionList.findSuppressed(automation.user, [enrollment.email]);
+    if (suppressed.size > 0) return 'suppressed';
+
+    const recipient = {
+      email: enrollment.email,
+      name: enrollment.name,
+      status: 'pending',
+      data: enrollment.data
+    };
+
+    // A campaign marked failed by the queue takes new recipients again
+    await CampaignStats.addRecipients(step.campaign, [recipient]);
+    await Campaign.updateOne(
+      { _id: step.campaign, status: 'failed' },
+      { $set: { status: 'active' }, $unset: { error: '', completedAt: '' } }
+    );
+
+    campaigns.set(String(step.campaign), { _id: step.campaign, user: automation.user });
+    return 'sent';
+  }
+
+  // Whether the contact opened or clicked the branch's email: null while
+  // the email hasn't gone out yet. A contact who never got it, or whose
+  // email is still unsent after `maxUnsentWait`, counts as no.
+  async engaged(automation, step, enrollment, now = new Date()) {
+    const emailStep = automation.steps[step.emailStep];
+    const recipient = await CampaignRecipient.findOne({ campaign: emailStep.campaign, email: enrollment.email })
+      .select('status createdAt');
+    if (!recipient) return false;
+
+    const { status } = recipient;
+    if (status === 'pending') {
+      return now - recipient.createdAt > this.maxUnsentWait ? false : null;
+    }
+
+    return step.condition === 'clicked'
+      ? status === 'clicked'
+      : ['opened', 'clicked'].includes(status);
+  }
+
+  // Contacts added to a list: enroll them in automations triggered by
+  // joining that list, or by a tag they were added with
+  async contactsAdded(list, contacts) {
+    try {
+      const automations = await this.triggeredBy(list);
+
+      for (const automation of automations) {
+        const matching = automation.trigger.type === 'list_join'
+          ? contacts
+          : contacts.filter(contact => this.hasTag(contact, automation.trigger.tag));
+        await this.enroll(automation, list, matching);
+      }
+    } catch (error) {
+      console.error('Automation list trigger error:', error);
+    }
+  }
+
+  // Tags added to a contact
+  async tagsAdded(list, contact, tags) {
+    try {
+      const automations = await this.triggeredBy(list);
+      const added = tags.map(tag => tag.toLowerCase());
+
+      for (const automation of automations) {
+        if (automation.trigger.type === 'tag_added' && added.includes(automation.trigger.tag.toLowerCase())) {
+          await this.enroll(automation, list, [contact]);
+        }
+      }
+    } catch (error) {
+      console.error('Automation tag trigger error:', error);
+    }
+  }
+
+  // Contacts that already match an automation's trigger, for enrolling
+  // them when it is activated
+  async enrollExisting(automation) {
+    const query = { user: automation.user, isActive: true };
+    if (automation.trigger.contactList) query._id = automation.trigger.contactList;
+
+    let enrolled = 0;
+    for (const list of await ContactList.find(query)) {
+      const contacts = automation.trigger.type === 'list_join'
+        ? list.contacts
+        : list.contacts.filter(contact => this.hasTag(contact, automation.trigger.tag));
+      enrolled += await this.enroll(automation, list, contacts);
+    }
+    return enrolled;
+  }
+
+  async triggeredBy(list) {
+    return Automation.find({
+      user: list.user,
+      status: 'active',
+      $or: [
+        { 'trigger.type': 'list_join', 'trigger.contactList': list._id },
+        { 'trigger.type': 'tag_added', 'trigger.contactList': { $in: [null, list._id] } }
+      ]
+    });
+  }
+
+  hasTag(contact, tag) {
+    return (contact.tags || []).some(contactTag => contactTag.toLowerCase() === tag.toLowerCase());
+  }
+
+  // Enroll contacts that pass validation, once per automation. Returns the
+  // number of new enrollments.
+  async enroll(automation, list, contacts) {
+    const eligible = contacts.filter(contact => contact.validationStatus === 'valid' || !contact.isValidated);
+    if (eligible.length === 0) return 0;
+
+    const now = new Date();
+    const operations = eligible.map(contact => {
+      const { email, name, data } = Campaign.recipientFromContact(contact);
+      return {
+        updateOne: {
+          filter: { automation: automation._id, email },
+          update: {
+            $setOnInsert: {
+              automation: automation._id,
+              user: automation.user,
+              contactList: list._id,
+              contact: contact._id,
+              email,
+              name,
+              data,
+              status: 'active',
+              currentStep: 0,
+              nextRunAt: now,
+              enrolledAt: now
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    let enrolled;
+    try {
+      enrolled = (await AutomationEnrollment.bulkWrite(operations, { ordered: false })).upsertedCount;
+    } catch (error) {
+      // A concurrent trigger enrolled some of the same contacts
+      if (error.code !== 11000) throw error;
+      enrolled = error.result.upsertedCount;
+    }
+
+    if (enrolled > 0) {
+      await Automation.updateOne({ _id: automation._id }, { $inc: { 'stats.enrolled': enrolled } });
+      console.log(`Enrolled ${enrolled} contact(s) in automation ${automation._id}`);
+    }
+    return enrolled;
+  }
+}
+
+module.exports = new AutomationRunner();
@@ -0,0 +1,319 @@
+const { simpleParser } = require('mailparser');
+const EmailActivity = require('../models/EmailActivity');
+const ContactList = require('../models/ContactList');
+const CampaignStats = require('./CampaignStats');
+const SuppressionList = require('./SuppressionList');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// nodemailer error codes for a rejection by the receiving server, as opposed
+// to connection, TLS or authentication problems on our side
+const REJECTION_CODES = ['EENVELOPE', 'EMESSAGE'];
+
+const HARD_TEXT = /user unknown|unknown user|no such (user|mailbox|recipient)|does not exist|invalid (recipient|mailbox|address)|address rejected|address not found|mailbox unavailable|account (has been )?disabled/i;
+const SOFT_TEXT = /mailbox (is )?full|over ?quota|quota exceeded|insufficient storage|try again later|temporarily|greylist/i;
+
+// Turns SMTP rejections and delivery status notifications into bounces on
+// EmailActivity, the campaign recipient and the contact. Hard bounces also
+// go on the owner's suppression list.
+class BounceProcessor {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+    // How far back a DSN without a usable Message-ID is matched by address
+    this.matchWindow = 7 * DAY;
+  }
+
+  // Classify a bounce from its basic SMTP code, enhanced status code
+  // (RFC 3463) and diagnostic text. Returns null for non-failures.
+  classify({ smtpCode, enhancedStatus, diagnostic } = {}) {
+    const text = diagnostic || '';
+
+    if (!enhancedStatus) {
+      const match = text.match(/\b([245])\.(\d{1,3})\.(\d{1,3})\b/);
+      if (match) enhancedStatus = match[0];
+    }
+    if (!smtpCode) {
+      const match = text.match(/(?:^|\D)([245]\d\d)(?=[\s-])/);
+      if (match) smtpCode = parseInt(match[1], 10);
+    }
+    smtpCode = smtpCode ? parseInt(smtpCode, 10) : undefined;
+
+    const bounce = bounceType => ({ bounceType, smtpCode, enhancedStatus, diagnostic: text.trim() || undefined });
+
+    if (enhancedStatus) {
+      const [statusClass, subject, detail] = enhancedStatus.split('.').map(part => parseInt(part, 10));
+
+      if (statusClass === 2) return null;
+      if (statusClass === 4) return bounce('soft');
+
+      // 5.1.x bad address, 5.2.1 mailbox disabled, 5.4.4 unroutable domain
+      if (subject === 1) return bounce('hard');
+      if (subject === 2) return bounce(detail === 1 ? 'hard' : 'soft');
+      if (subject === 4 && (detail === 4 || detail === 1)) return bounce('hard');
+      // Policy and content blocks (5.7.x) and mail system issues say nothing
+      // about the address itself
+      return bounce('soft');
+    }
+
+    if (smtpCode) {
+      if (smtpCode < 400) return null;
+      if (smtpCode < 500) return bounce('soft');
+      if (SOFT_TEXT.test(text) || smtpCode === 552) return bounce('soft');
+      if (HARD_TEXT.test(text) || [550, 551, 553].includes(smtpCode)) return bounce('hard');
+      return bounce('soft');
+    }
+
+    if (HARD_TEXT.test(text)) return bounce('hard');
+    if (text) return bounce('soft');
+    return null;
+  }
+
+  // Bounce details from a nodemailer sendMail error, or null when the error
+  // was not a rejection of the message or recipient
+  fromSmtpError(error) {
+    if (!error || !error.responseCode || !REJECTION_CODES.includes(error.code)) return null;
+
+    return this.classify({
+      smtpCode: error.responseCode,
+      diagnostic: error.response || error.message
+    });
+  }
+
+  // Record a bounce for an activity. Returns false when the activity had
+  // already bounced.
+  async recordBounce(activity, bounce, source) {
+    const bouncedAt = new Date();
+
+    const updated = await EmailActivity.findOneAndUpdate(
+      { _id: activity._id, status: { $ne: 'bounced' } },
+      {
+        $set: {
+          status: 'bounced',
+          'tracking.bouncedAt': bouncedAt,
+          'response.deliveryStatus': 'bounced',
+          'response.errorMessage': bounce.diagnostic,
+          bounce: { ...bounce, source, receivedAt: bouncedAt }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return false;
+
+    await CampaignStats.recordBounce(updated, bounce, bouncedAt);
+
+    if (bounce.bounceType === 'hard') {
+      await SuppressionList.add(updated.user, updated.recipient.email, 'hard_bounce', {
+        campaign: updated.campaign,
+        activity: updated._id,
+        note: bounce.diagnostic
+      });
+    }
+
+    await this.updateContacts(updated.user, updated.recipient.email, bounce.bounceType);
+    return true;
+  }
+
+  // Hard bounces make the contact invalid; soft bounces only flag a contact
+  // as risky if it wasn't already known to be invalid
+  async updateContacts(userId, email, bounceType) {
+    const address = SuppressionList.normalize(email);
+    const contactLists = await ContactList.find({ user: userId, 'contacts.email': address });
+
+    for (const contactList of contactLists) {
+      let changed = false;
+
+      for (const contact of contactList.contacts) {
+        if (contact.email !== address) continue;
+        if (bounceType === 'soft' && contact.validationStatus === 'invalid') continue;
+
+        contact.validationStatus = bounceType === 'hard' ? 'invalid' : 'risky';
+        contact.isValidated = true;
+        changed = true;
+      }
+
+      if (changed) await contactList.save();
+    }
+  }
+
+  // Parse a raw DSN (RFC 3464) and record a bounce for every failed
+  // recipient. Returns the number of bounces recorded.
+  async processRawMessage(raw, source = 'dsn') {
+    const parsed = await simpleParser(raw);
+    const reports = this.parseDsn(parsed);
+
+    let recorded = 0;
+    for (const report of reports) {
+      const bounce = this.classify(report);
+      if (!bounce) continue;
+
+      const activity = await this.findActivity(report.messageId, report.recipient, report.sender);
+      if (!activity) {
+        console.log(`Bounce for ${report.recipient || 'unknown recipient'} did not match any activity`);
+        continue;
+      }
+
+      if (await this.recordBounce(activity, bounce, source)) recorded++;
+    }
+
+    return recorded;
+  }
+
+  // Per-recipient failures from a parsed message. Falls back to
+  // X-Failed-Recipients and the body text for non-standard bounces.
+  parseDsn(parsed) {
+    const attachments = parsed.attachments || [];
+    const statusPart = attachments.find(part => /message\/(global-)?delivery-status/i.test(part.contentType));
+    const originalPart = attachments.find(part => /message\/(global-)?rfc822|text\/rfc822-headers/i.test(part.contentType));
+
+    const originalHeaders = originalPart ? originalPart.content.toString('utf8') : parsed.text || '';
+    const messageIdMatch = originalHeaders.match(/^Message-ID:\s*(<[^>]+>)/im);
+    const messageId = messageIdMatch ? messageIdMatch[1] : undefined;
+    // The account the message was sent from: the original From, or else
+    // the address the DSN was returned to
+    const fromMatch = originalHeaders.match(/^From:(.*)$/im);
+    const sender = (fromMatch && this.addressIn(fromMatch[1])) || parsed.to?.value?.[0]?.address || undefined;
+
+    // mailparser usually folds the delivery-status part into the text body,
+    // so recipient blocks are looked for in both
+    const statusText = statusPart ? statusPart.content.toString('utf8') : parsed.text || '';
+    const reports = statusText.split(/\r?\n\s*\r?\n/)
+      .map(block => this.parseFields(block))
+      .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+      .filter(fields => !fields.action || fields.action.toLowerCase() === 'failed')
+      .map(fields => ({
+        messageId,
+        sender,
+        recipient: this.stripAddressType(fields['final-recipient'] || fields['original-recipient']),
+        enhancedStatus: (fields.status || '').match(/\d\.\d{1,3}\.\d{1,3}/)?.[0],
+        diagnostic: this.stripAddressType(fields['diagnostic-code'] || '') || undefined
+      }));
+
+    if (reports.length > 0) return reports;
+
+    const failed = parsed.headers.get('x-failed-recipients');
+    if (!failed) return [];
+
+    return String(failed).split(',').map(recipient => ({
+      messageId,
+      sender,
+      recipient: recipient.trim(),
+      diagnostic: parsed.text
+    }));
+  }
+
+  parseFields(block) {
+    const fields = {};
+    // Unfold continuation lines first
+    const lines = block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+
+    for (const line of lines) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+    return fields;
+  }
+
+  // "rfc822; user@example.com" -> "user@example.com"
+  stripAddressType(value) {
+    return value.replace(/^[\w-]+;\s*/, '').trim();
+  }
+
+  // "Name <user@example.com>" -> "user@example.com"
+  addressIn(value) {
+    const match = value.match(/<([^>\s]+@[^>\s]+)>/) || value.match(/[^\s<>,;"]+@[^\s<>,;"]+/);
+    return match ? match[1] || match[0] : null;
+  }
+
+  // The activity by Message-ID, or else the latest recent send to `email`
+  // from the `sender` account the bounce came back to. Without a sender the
+  // address alone could match another user's send, so it is left unmatched.
+  async findActivity(messageId, email, sender) {
+    if (messageId) {
+      const activity = await EmailActivity.findOne({ 'emailDetails.messageId': messageId });
+      if (activity) return activity;
+    }
+
+    if (!email || !sender) return null;
+
+    return EmailActivity.findOne({
+      'recipient.email': this.addressPattern(email),
+      'sender.email': this.addressPattern(sender),
+      status: { $in: ['queued', 'sent', 'delivered'] },
+      createdAt: { $gte: new Date(Date.now() - this.matchWindow) }
+    }).sort({ createdAt: -1 });
+  }
+
+  addressPattern(email) {
+    return { $regex: `^${email.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+  }
+
+  // Poll the bounce mailbox when BOUNCE_IMAP_HOST is configured
+  start() {
+    if (this.timer || !process.env.BOUNCE_IMAP_HOST) return;
+
+    // An interval rather than a cron step, which can't express an hour or more
+    const minutes = Math.max(1, parseInt(process.env.BOUNCE_IMAP_POLL_MINUTES) || 5);
+    this.timer = setInterval(() => this.pollMailbox(), minutes * MINUTE);
+    console.log(`Bounce mailbox polling started (every ${minutes} min)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async pollMailbox() {
+    if (this.polling) return;
+    this.polling = true;
+
+    const { ImapFlow } = require('imapflow');
+    const client = new ImapFlow({
+      host: process.env.BOUNCE_IMAP_HOST,
+      port: parseInt(process.env.BOUNCE_IMAP_PORT) || 993,
+      secure: process.env.BOUNCE_IMAP_SECURE !== 'false',
+      auth: {
+        user: process.env.BOUNCE_IMAP_USER,
+        pass: process.env.BOUNCE_IMAP_PASSWORD
+      },
+      logger: false
+    });
+
+    try {
+      await client.connect();
+      const lock = await client.getMailboxLock(process.env.BOUNCE_IMAP_MAILBOX || 'INBOX');
+
+      try {
+        const processed = [];
+        for await (const message of client.fetch({ seen: false }, { uid: true, source: true })) {
+          try {
+            const recorded = await this.processRawMessage(message.source, 'dsn');
+            if (recorded > 0) console.log(`Recorded ${recorded} bounce(s) from mailbox message ${message.uid}`);
+          } catch (error) {
+            console.error(`Bounce message ${message.uid} error:`, error);
+          }
+          processed.push(message.uid);
+        }
+
+        if (processed.length > 0) {
+          await client.messageFlagsAdd(processed, ['\\Seen'], { uid: true });
+        }
+      } finally {
+        lock.release();
+      }
+
+      await client.logout();
+    } catch (error) {
+      console.error('Bounce mailbox poll error:', error);
+      client.close();
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = new BounceProcessor();
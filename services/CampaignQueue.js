@@ -0,0 +1,221 @@
+const os = require('os');
+const crypto = require('crypto');
+const CampaignJob = require('../models/CampaignJob');
+
+// MongoDB-backed job queue. Jobs survive restarts: a worker claims a job by
+// taking a lock that it keeps renewing, so a job whose worker died is picked
+// up again once its lock expires.
+class CampaignQueue {
+  constructor(options = {}) {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.pollInterval = options.pollInterval || parseInt(process.env.CAMPAIGN_QUEUE_POLL_MS) || 5000;
+    this.concurrency = options.concurrency || parseInt(process.env.CAMPAIGN_QUEUE_CONCURRENCY) || 2;
+    this.lockDuration = options.lockDuration || 60 * 1000;
+    this.handlers = new Map();
+    this.activeJobs = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Register the function that processes jobs of a given type. `onFailed`
+  // runs once a job has used up all of its attempts.
+  registerHandler(type, handler, { onFailed } = {}) {
+    this.handlers.set(type, { handler, onFailed });
+  }
+
+  // Add a job unless the same campaign already has one queued or running.
+  // A running job is flagged to run once more when it finishes, so state
+  // changes made while it runs (e.g. a resume) are never missed.
+  async enqueue(type, campaignId, options = {}) {
+    const { payload = {}, runAt = new Date(), user, maxAttempts } = options;
+
+    const active = await CampaignJob.findOneAndUpdate(
+      { type, campaign: campaignId, status: 'active' },
+      { $set: { rerun: true, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (active) return active;
+
+    let job;
+    try {
+      job = await CampaignJob.findOneAndUpdate(
+        {
+          type,
+          campaign: campaignId,
+          status: { $in: ['queued', 'active'] }
+        },
+        {
+          $setOnInsert: {
+            type,
+            campaign: campaignId,
+            user,
+            payload,
+            status: 'queued',
+            runAt,
+            maxAttempts: maxAttempts || 5,
+            attempts: 0,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // A concurrent enqueue inserted the job first; join it instead
+      if (error.code !== 11000) throw error;
+      return this.enqueue(type, campaignId, options);
+    }
+
+    // Wake the worker so jobs due now don't wait for the next poll
+    if (this.timer && runAt <= new Date()) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  // Drop queued (not yet running) jobs for a campaign
+  async cancel(type, campaignId) {
+    await CampaignJob.updateMany(
+      { type, campaign: campaignId, status: 'queued' },
+      { $set: { status: 'failed', lastError: 'Cancelled', finishedAt: new Date(), updatedAt: new Date() } }
+    );
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    console.log(`Campaign queue worker ${this.workerId} started`);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.run(job).catch(error => console.error(`Campaign job ${job._id} run error:`, error));
+      }
+    } catch (error) {
+      console.error('Campaign queue poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Atomically lock the next due job, including jobs whose previous worker
+  // stopped renewing its lock
+  async claimNext() {
+    const now = new Date();
+
+    return CampaignJob.findOneAndUpdate(
+      {
+        type: { $in: Array.from(this.handlers.keys()) },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'active', lockExpiresAt: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'active',
+          lockedBy: this.workerId,
+          lockExpiresAt: new Date(now.getTime() + this.lockDuration),
+          startedAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    const jobId = job._id.toString();
+    const { handler, onFailed } = this.handlers.get(job.type);
+
+    const heartbeat = setInterval(() => {
+      CampaignJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockExpiresAt: new Date(Date.now() + this.lockDuration), updatedAt: new Date() } }
+      ).catch(error => console.error(`Campaign job ${jobId} heartbeat error:`, error));
+    }, this.lockDuration / 3);
+
+    this.activeJobs.set(jobId, job);
+
+    try {
+      const result = await handler(job);
+
+      // A handler may ask to run again later (e.g. deferred recipients)
+      if (result && result.requeueAt) {
+        await CampaignJob.updateOne(
+          { _id: job._id, lockedBy: this.workerId },
+          {
+            $set: { status: 'queued', runAt: result.requeueAt, rerun: false, attempts: 0, updatedAt: new Date() },
+            $unset: { lockedBy: '', lockExpiresAt: '' }
+          }
+        );
+      } else {
+        const completed = await CampaignJob.updateOne(
+          { _id: job._id, lockedBy: this.workerId, rerun: { $ne: true } },
+          {
+            $set: { status: 'completed', finishedAt: new Date(), updatedAt: new Date() },
+            $unset: { lockExpiresAt: '' }
+          }
+        );
+
+        if (completed.modifiedCount === 0) {
+          await CampaignJob.updateOne(
+            { _id: job._id, lockedBy: this.workerId },
+            {
+              $set: { status: 'queued', runAt: new Date(), rerun: false, attempts: 0, updatedAt: new Date() },
+              $unset: { lockedBy: '', lockExpiresAt: '' }
+            }
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`Campaign job ${jobId} (${job.type}) error:`, error);
+
+      const exhausted = job.attempts >= job.maxAttempts;
+      const backoff = Math.min(30000 * Math.pow(2, job.attempts - 1), 30 * 60 * 1000);
+
+      const update = {
+        status: exhausted ? 'failed' : 'queued',
+        runAt: new Date(Date.now() + backoff),
+        lastError: error.message,
+        updatedAt: new Date()
+      };
+      if (exhausted) update.finishedAt = new Date();
+
+      await CampaignJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: update, $unset: { lockedBy: '', lockExpiresAt: '' } }
+      );
+
+      if (exhausted && onFailed) {
+        try {
+          await onFailed(job, error);
+        } catch (failError) {
+          console.error(`Campaign job ${jobId} failure handler error:`, failError);
+        }
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(jobId);
+      setImmediate(() => this.poll());
+    }
+  }
+}
+
+module.exports = new CampaignQueue();
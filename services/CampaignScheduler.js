@@ -0,0 +1,359 @@
+const cron = require('node-cron');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const ContactList = require('../models/ContactList');
+const WhatsAppCampaign = require('../models/WhatsAppCampaign');
+const CampaignSender = require('./CampaignSender');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Launches scheduled email and WhatsApp campaigns. Recurring campaigns act as
+// a series template: each run is a fresh clone and the template's
+// `schedule.scheduledAt` moves on to the next occurrence.
+class CampaignScheduler {
+  constructor() {
+    this.task = null;
+    this.running = false;
+    // Missed recurring runs older than this are skipped rather than sent late
+    this.catchUpWindow = (parseInt(process.env.SCHEDULER_CATCHUP_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  start() {
+    if (this.task) return;
+    this.task = cron.schedule('* * * * *', () => this.tick());
+    console.log('Campaign scheduler started');
+
+    // Catch up on anything that fell due while the server was down
+    this.tick();
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+
+      const emailCampaigns = await Campaign.find({
+        type: 'email',
+        status: 'scheduled',
+        'schedule.scheduledAt': { $lte: now }
+      });
+      for (const campaign of emailCampaigns) {
+        await this.launchEmailCampaign(campaign, now);
+      }
+
+      const whatsappCampaigns = await WhatsAppCampaign.find({
+        status: 'scheduled',
+        'schedule.scheduledAt': { $lte: now }
+      });
+      for (const campaign of whatsappCampaigns) {
+        await this.launchWhatsAppCampaign(campaign, now);
+      }
+    } catch (error) {
+      console.error('Campaign scheduler error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async launchEmailCampaign(campaign, now) {
+    try {
+      if (!this.isRecurring(campaign.schedule)) {
+        // Claim the campaign so a second instance can't launch it too
+        const claimed = await Campaign.findOneAndUpdate(
+          { _id: campaign._id, status: 'scheduled' },
+          { $set: { status: 'pending', 'schedule.lastRunAt': now, updatedAt: now } },
+          { new: true }
+        );
+        if (!claimed) return;
+
+        await CampaignSender.enqueue(claimed);
+        console.log(`Scheduled campaign ${campaign._id} launched`);
+        return;
+      }
+
+      const { runAt, nextAt } = this.planRecurrence(campaign.schedule, now);
+      const claimed = await this.advanceSeries(Campaign, campaign, nextAt, now);
+      if (!claimed || !runAt) return;
+
+      const { run, recipients } = await this.cloneEmailCampaign(campaign, runAt);
+      if (recipients.length === 0) {
+        console.log(`Skipped run of recurring campaign ${campaign._id}: no recipients`);
+        return;
+      }
+
+      await run.saveWithRecipients(recipients);
+      await CampaignSender.enqueue(run);
+      console.log(`Recurring campaign ${campaign._id} launched run ${run._id}`);
+    } catch (error) {
+      console.error(`Launch scheduled campaign ${campaign._id} error:`, error);
+    }
+  }
+
+  async launchWhatsAppCampaign(campaign, now) {
+    try {
+      let run;
+
+      if (!this.isRecurring(campaign.schedule)) {
+        run = await WhatsAppCampaign.findOneAndUpdate(
+          { _id: campaign._id, status: 'scheduled' },
+          { $set: { status: 'running', 'schedule.lastRunAt': now, updatedAt: now } },
+          { new: true }
+        );
+        if (!run) return;
+      } else {
+        const { runAt, nextAt } = this.planRecurrence(campaign.schedule, now);
+        const claimed = await this.advanceSeries(WhatsAppCampaign, campaign, nextAt, now);
+        if (!claimed || !runAt) return;
+
+        run = new WhatsAppCampaign({
+          user: campaign.user,
+          name: `${campaign.name} (${this.formatRunDate(runAt, campaign.schedule.timezone)})`,
+          description: campaign.description,
+          whatsappAccount: campaign.whatsappAccount,
+          template: campaign.template,
+          series: campaign._id,
+          messages: campaign.messages.map(message => ({
+            recipient: message.recipient,
+            content: message.content,
+            status: 'pending'
+          })),
+          antiBlockSettings: campaign.antiBlockSettings,
+          status: 'running'
+        });
+        await run.save();
+      }
+
+      // Loaded lazily: the WhatsApp service pulls in puppeteer
+      const WhatsAppWebService = require('./WhatsAppWebService');
+      WhatsAppWebService.processCampaign(run._id)
+        .catch(async (error) => {
+          console.error('Error processing scheduled WhatsApp campaign:', error);
+          await WhatsAppCampaign.findByIdAndUpdate(run._id, {
+            status: 'failed',
+            updatedAt: new Date()
+          });
+        });
+
+      console.log(`Scheduled WhatsApp campaign ${campaign._id} launched`);
+    } catch (error) {
+      console.error(`Launch scheduled WhatsApp campaign ${campaign._id} error:`, error);
+    }
+  }
+
+  isRecurring(schedule) {
+    return schedule && schedule.repeatType && schedule.repeatType !== 'none';
+  }
+
+  // Move a series on to its next occurrence, or finish it. Only the caller
+  // that wins this update may launch the run.
+  async advanceSeries(Model, campaign, nextAt, now) {
+    const update = { 'schedule.lastRunAt': now, updatedAt: now };
+    if (nextAt) {
+      update['schedule.scheduledAt'] = nextAt;
+    } else {
+      update.status = 'completed';
+      update.completedAt = now;
+    }
+
+    return Model.findOneAndUpdate(
+      { _id: campaign._id, status: 'scheduled', 'schedule.scheduledAt': campaign.schedule.scheduledAt },
+      { $set: update },
+      { new: true }
+    );
+  }
+
+  // Work out which occurrence to run now and when the next one is. When runs
+  // were missed only the most recent one is sent, and only if it falls within
+  // the catch-up window.
+  planRecurrence(schedule, now) {
+    const { repeatType, repeatUntil, timezone } = schedule;
+    const anchor = schedule.startAt || schedule.scheduledAt;
+
+    let due = schedule.scheduledAt;
+    let next = this.nextOccurrence(anchor, schedule.scheduledAt, repeatType, timezone);
+    let missed = 0;
+
+    while (next <= now) {
+      due = next;
+      next = this.nextOccurrence(anchor, next, repeatType, timezone);
+      missed++;
+    }
+
+    if (repeatUntil && due > repeatUntil) {
+      return { runAt: null, nextAt: null };
+    }
+
+    let runAt = due;
+    if (now - due > this.catchUpWindow) {
+      console.log(`Skipping recurring run due ${due.toISOString()}: outside the catch-up window`);
+      runAt = null;
+    } else if (missed > 0) {
+      console.log(`Catching up on recurring run due ${due.toISOString()}; ${missed} earlier run(s) skipped`);
+    }
+
+    const nextAt = repeatUntil && next > repeatUntil ? null : next;
+    return { runAt, nextAt };
+  }
+
+  // Next occurrence after `current`, keeping the anchor's wall-clock time in
+  // the series timezone (so DST changes don't shift the send time)
+  nextOccurrence(anchor, current, repeatType, timezone) {
+    const tz = timezone || 'UTC';
+    const start = this.getZonedParts(anchor, tz);
+    const parts = this.getZonedParts(current, tz);
+
+    let { year, month, day } = parts;
+    switch (repeatType) {
+      case 'daily':
+        ({ year, month, day } = this.addDays(year, month, day, 1));
+        break;
+      case 'weekly':
+        ({ year, month, day } = this.addDays(year, month, day, 7));
+        break;
+      case 'monthly': {
+        month += 1;
+        if (month > 12) {
+          month = 1;
+          year += 1;
+        }
+        // Keep the original day of month, clamped for shorter months
+        day = Math.min(start.day, new Date(Date.UTC(year, month, 0)).getUTCDate());
+        break;
+      }
+      default:
+        return null;
+    }
+
+    return this.zonedTimeToUtc({ year, month, day, hour: start.hour, minute: start.minute }, tz);
+  }
+
+  addDays(year, month, day, days) {
+    const date = new Date(Date.UTC(year, month - 1, day) + days * DAY);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Wall-clock date parts of an instant in a timezone
+  getZonedParts(date, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = type === 'weekday' ? value : parseInt(value, 10);
+    });
+    return parts;
+  }
+
+  // Offset of a timezone from UTC at a given instant, in milliseconds
+  getTimezoneOffset(date, timezone) {
+    const p = this.getZonedParts(date, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  // Convert wall-clock parts in a timezone to a UTC instant
+  zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    let result = guess - this.getTimezoneOffset(new Date(guess), timezone);
+    // Second pass corrects for an offset change between the guess and the result
+    result = guess - this.getTimezoneOffset(new Date(result), timezone);
+    return new Date(result);
+  }
+
+  // Parse a schedule time from the API. A value without an explicit offset
+  // ("2025-08-10T09:00") is read as wall-clock time in `timezone`.
+  parseScheduledAt(value, timezone) {
+    if (!value) return null;
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/.exec(String(value).trim());
+    if (match && timezone) {
+      return this.zonedTimeToUtc({
+        year: parseInt(match[1], 10),
+        month: parseInt(match[2], 10),
+        day: parseInt(match[3], 10),
+        hour: parseInt(match[4], 10),
+        minute: parseInt(match[5], 10)
+      }, timezone);
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  formatRunDate(date, timezone) {
+    const p = this.getZonedParts(date, timezone || 'UTC');
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  }
+
+  // Build a fresh run of a recurring email campaign and its recipients.
+  // Recipients are taken from the contact list as it is now, so contacts
+  // added since the last run are included.
+  async cloneEmailCampaign(series, runAt) {
+    let recipients = (await CampaignRecipient.find({ campaign: series._id }).select('email name data').lean())
+      .map(r => ({ email: r.email, name: r.name, status: 'pending', data: r.data }));
+
+    if (series.settings.contactListId) {
+      const contactList = await ContactList.findOne({
+        _id: series.settings.contactListId,
+        user: series.user,
+        isActive: true
+      });
+
+      if (contactList) {
+        recipients = contactList.contacts
+          .filter(contact => contact.validationStatus === 'valid' || !contact.isValidated)
+          .map(contact => Campaign.recipientFromContact(contact));
+      }
+    }
+
+    const run = new Campaign({
+      user: series.user,
+      name: `${series.name} (${this.formatRunDate(runAt, series.schedule.timezone)})`.slice(0, 100),
+      type: 'email',
+      subject: series.subject,
+      content: series.content,
+      textContent: series.textContent,
+      variables: series.variables,
+      attachments: series.attachments,
+      settings: series.settings,
+      series: series._id,
+      schedule: {
+        isScheduled: true,
+        scheduledAt: runAt,
+        timezone: series.schedule.timezone
+      },
+      status: 'pending'
+    });
+
+    return { run, recipients };
+  }
+}
+
+module.exports = new CampaignScheduler();
@@ -0,0 +1,814 @@
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const User = require('../models/User');
+const EmailActivity = require('../models/EmailActivity');
+const CampaignQueue = require('./CampaignQueue');
+const CampaignStats = require('./CampaignStats');
+const TrackingInjector = require('./TrackingInjector');
+const SuppressionList = require('./SuppressionList');
+const BounceProcessor = require('./BounceProcessor');
+const TemplateRenderer = require('./TemplateRenderer');
+const HtmlToText = require('./HtmlToText');
+const SmtpPool = require('./SmtpPool');
+const DomainThrottle = require('./DomainThrottle');
+const SendTimeOptimizer = require('./SendTimeOptimizer');
+const Attachment = require('../models/Attachment');
+const SMTPConfig = require('../models/SMTPConfig');
+const AttachmentStore = require('./AttachmentStore');
+
+// Decryption function for SMTP passwords
+const algorithm = 'aes-256-cbc';
+const secretKey = process.env.ENCRYPTION_KEY || crypto.randomBytes(32);
+
+function decrypt(text) {
+  const textParts = text.split(':');
+  const iv = Buffer.from(textParts.shift(), 'hex');
+  const encryptedText = textParts.join(':');
+  const decipher = crypto.createDecipher(algorithm, secretKey);
+  let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  return decrypted;
+}
+
+const JOB_TYPE = 'send-campaign';
+
+// Statuses a send job works on; `active` is an automation step
+const SENDABLE_STATUSES = ['pending', 'sending', 'active'];
+
+// nodemailer error codes for a connection that failed or dropped; worth
+// retrying, unlike a rejected message
+const CONNECTION_ERRORS = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'ECONNRESET', 'EDNS'];
+
+class CampaignSender {
+  constructor() {
+    this.batchSize = 5;
+    this.batchDelay = 2000;
+    // Recipients read at a time while picking a batch
+    this.pageSize = 200;
+    // Retries after a temporary error: 5 minutes, doubling, at most 2 hours
+    // apart, and at most CAMPAIGN_MAX_RETRIES per recipient
+    this.retryDelay = 5 * 60 * 1000;
+    this.maxRetryDelay = 2 * 60 * 60 * 1000;
+    this.maxRetries = parseInt(process.env.CAMPAIGN_MAX_RETRIES) || 8;
+
+    CampaignQueue.registerHandler(JOB_TYPE, job => this.processCampaign(job.campaign), {
+      onFailed: (job, error) => this.markFailed(job.campaign, error)
+    });
+  }
+
+  // Queue a campaign for delivery
+  async enqueue(campaign) {
+    return CampaignQueue.enqueue(JOB_TYPE, campaign._id, { user: campaign.user });
+  }
+
+  async cancel(campaignId) {
+    return CampaignQueue.cancel(JOB_TYPE, campaignId);
+  }
+
+  // Re-queue campaigns that were sending (or waiting to send) when the
+  // server stopped, and automation steps with recipients still to send.
+  // Jobs already in the queue are not duplicated.
+  async resumeInterrupted() {
+    try {
+      // Automation steps used to be left in `sending` for good
+      await Campaign.updateMany(
+        { type: 'email', automation: { $ne: null }, status: 'sending' },
+        { $set: { status: 'active' } }
+      );
+
+      const campaigns = await Campaign.find({
+        type: 'email',
+        status: { $in: ['pending', 'sending', 'active'] }
+      }).select('_id user status');
+
+      let resumed = 0;
+      for (const campaign of campaigns) {
+        // An automation step only needs a job while contacts wait on it
+        if (campaign.status === 'active' && !await CampaignRecipient.exists({ campaign: campaign._id, status: 'pending' })) {
+          continue;
+        }
+        await this.enqueue(campaign);
+        resumed++;
+      }
+
+      if (resumed > 0) {
+        console.log(`Resumed ${resumed} interrupted campaign(s)`);
+      }
+    } catch (error) {
+      console.error('Resume interrupted campaigns error:', error);
+    }
+  }
+
+  createTransporter(smtpConfig) {
+    return nodemailer.createTransport({
+      host: smtpConfig.host,
+      port: smtpConfig.port,
+      secure: smtpConfig.secure,
+      auth: {
+        user: smtpConfig.username,
+        pass: decrypt(smtpConfig.password)
+      }
+    });
+  }
+
+  async processCampaign(campaignId) {
+    let campaign = await Campaign.findById(campaignId);
+    if (!campaign || !SENDABLE_STATUSES.includes(campaign.status)) return;
+
+    // Automation steps stay active between sends instead of completing
+    const running = campaign.automation ? 'active' : 'sending';
+
+    // Get the SMTP configurations this campaign rotates through
+    const configs = await SmtpPool.load(campaign);
+    if (configs.length === 0) {
+      await Campaign.updateOne(
+        { _id: campaign._id, status: { $in: SENDABLE_STATUSES } },
+        { $set: { status: 'failed', error: 'SMTP configuration not found', updatedAt: new Date() } }
+      );
+      return;
+    }
+
+    const transporters = new Map();
+
+    // A follow-up picks its audience again when it starts, so recipients
+    // who engaged with the parent after it was created are left out
+    if (campaign.parent && !campaign.sentAt) {
+      await this.refreshFollowUpAudience(campaign);
+    }
+
+    const start = { status: running, updatedAt: new Date() };
+    if (!campaign.sentAt) start.sentAt = new Date();
+
+    // "Best time" campaigns give each recipient a send time when they start
+    if (campaign.schedule.optimizeSendTime && !campaign.sentAt) {
+      start['schedule.optimization'] = await SendTimeOptimizer.plan(campaign);
+    }
+
+    // Conditional, so a pause or cancel made while the campaign was starting
+    // up is kept
+    const started = await Campaign.updateOne(
+      { _id: campaign._id, status: { $in: SENDABLE_STATUSES } },
+      { $set: start }
+    );
+    if (started.matchedCount === 0) {
+      console.log(`Campaign ${campaignId} was stopped before sending started`);
+      return;
+    }
+
+    campaign = await Campaign.findById(campaignId);
+    if (!campaign || campaign.status !== running) return;
+
+    await this.recoverInFlight(campaign);
+
+    // Loaded once; every message in the campaign carries the same files
+    const attachments = campaign.attachments.length > 0
+      ? await Attachment.find({ _id: { $in: campaign.attachments }, user: campaign.user })
+      : [];
+
+    // Only recipients that were never attempted are sent; anything already
+    // attempted was either delivered or recovered above. Recipients handed
+    // back after a failover or a deferral are unclaimed again and come
+    // round once more.
+    let pending = await this.hasPending(campaign);
+
+    while (pending) {
+      const { selected, blocked } = await this.selectBatch(campaign, new Date());
+      if (selected.length === 0) {
+        return this.waitForRecipients(campaign, blocked);
+      }
+
+      const batch = await this.skipSuppressed(campaign, selected.map(({ recipient }) => recipient));
+      const throttled = selected.filter(({ recipient }) => batch.includes(recipient));
+      await Promise.all(selected
+        .filter(entry => !throttled.includes(entry))
+        .map(({ rule }) => DomainThrottle.release(campaign.user, rule)));
+
+      // Reserve a sender for each recipient against its caps
+      const sends = [];
+      for (const { recipient, rule } of throttled) {
+        const config = await SmtpPool.acquire(configs, campaign.settings.rotation);
+        if (!config) {
+          await DomainThrottle.release(campaign.user, rule);
+          continue;
+        }
+
+        if (!transporters.has(String(config._id))) {
+          transporters.set(String(config._id), this.createTransporter(config));
+        }
+        sends.push({ recipient, rule, sender: { config, transporter: transporters.get(String(config._id)) } });
+      }
+
+      if (throttled.length > 0 && sends.length === 0) {
+        return this.waitForSenders(campaign, configs);
+      }
+
+      await Promise.all(sends.map(({ recipient, rule, sender }) => (
+        this.sendToRecipient(campaign, recipient, sender, rule, attachments)
+      )));
+
+      // Reload to pick up cancellation and the latest stats
+      campaign = await Campaign.findById(campaignId);
+      if (!campaign) return;
+
+      if (campaign.status !== running) {
+        console.log(`Campaign ${campaignId} stopped with status ${campaign.status}`);
+        return;
+      }
+
+      pending = await this.hasPending(campaign);
+
+      // Add delay between batches
+      if (pending) {
+        await new Promise(resolve => setTimeout(resolve, this.batchDelay));
+      }
+    }
+
+    // An A/B test holds back the remainder until the winner is picked
+    if (await this.hasHeldForAbTest(campaign)) {
+      const testEndsAt = await this.decideAbTest(campaign);
+      if (testEndsAt) return { requeueAt: testEndsAt };
+      return this.processCampaign(campaignId);
+    }
+
+    // An automation step stays open for the contacts still to reach it
+    if (campaign.automation) {
+      await this.recordUsage(campaign);
+      return;
+    }
+
+    // Update final campaign status, unless it was paused or cancelled since
+    // the last batch
+    const completed = await Campaign.updateOne(
+      { _id: campaign._id, status: 'sending' },
+      { $set: { status: 'completed', completedAt: new Date(), updatedAt: new Date() } }
+    );
+
+    await this.recordUsage(campaign);
+    if (completed.matchedCount === 0) return;
+
+    console.log(`Campaign ${campaignId} completed. Sent: ${campaign.stats.sent}, Failed: ${campaign.stats.failed}`);
+  }
+
+  // Update user usage with sends not counted by an earlier run
+  async recordUsage(campaign) {
+    const unrecorded = campaign.stats.sent - (campaign.usageRecorded || 0);
+    if (unrecorded > 0) {
+      await User.updateOne({ _id: campaign.user }, { $inc: { 'usage.emailsSent': unrecorded } });
+      await Campaign.updateOne({ _id: campaign._id }, { $set: { usageRecorded: campaign.stats.sent } });
+    }
+  }
+
+  // Recipients still to send. While an A/B test runs only its sample is sent.
+  pendingFilter(campaign) {
+    const filter = { campaign: campaign._id, status: 'pending', attemptedAt: { $exists: false } };
+    if (this.abTestRunning(campaign)) filter.variant = { $ne: null };
+    return filter;
+  }
+
+  async hasPending(campaign) {
+    return Boolean(await CampaignRecipient.exists(this.pendingFilter(campaign)));
+  }
+
+  abTestRunning(campaign) {
+    return Boolean(campaign.abTest && campaign.abTest.enabled && campaign.abTest.winner == null);
+  }
+
+  async hasHeldForAbTest(campaign) {
+    if (!this.abTestRunning(campaign)) return false;
+    return Boolean(await CampaignRecipient.exists({ campaign: campaign._id, status: 'pending', variant: null }));
+  }
+
+  // The sample has been sent: wait `waitHours` from now, then pick the
+  // winner. Returns the time to run again, or null once a winner is set.
+  async decideAbTest(campaign) {
+    const now = new Date();
+
+    if (!campaign.abTest.testEndsAt) {
+      campaign.abTest.testEndsAt = new Date(now.getTime() + campaign.abTest.waitHours * 60 * 60 * 1000);
+      await Campaign.updateOne(
+        { _id: campaign._id, 'abTest.testEndsAt': null },
+        { $set: { 'abTest.testEndsAt': campaign.abTest.testEndsAt } }
+      );
+    }
+
+    if (campaign.abTest.testEndsAt > now) {
+      console.log(`Campaign ${campaign._id} A/B test running until ${campaign.abTest.testEndsAt.toISOString()}`);
+      return campaign.abTest.testEndsAt;
+    }
+
+    // Best rate on the chosen metric, then on the other one; ties go to
+    // the earlier variant
+    const [primary, secondary] = campaign.abTest.winnerMetric === 'click_rate'
+      ? ['clickRate', 'openRate']
+      : ['openRate', 'clickRate'];
+    const ranked = (await campaign.abTestResults()).sort((a, b) => (
+      b[primary] - a[primary] || b[secondary] - a[secondary] || a.index - b.index
+    ));
+
+    // Conditional, so only one worker picks the winner
+    await Campaign.updateOne(
+      { _id: campaign._id, 'abTest.winner': null },
+      { $set: { 'abTest.winner': ranked[0].index, 'abTest.decidedAt': now } }
+    );
+
+    const { abTest } = await Campaign.findById(campaign._id).select('abTest');
+    await CampaignRecipient.updateMany(
+      { campaign: campaign._id, variant: null },
+      { $set: { variant: abTest.winner } }
+    );
+
+    console.log(`Campaign ${campaign._id} A/B test winner: ${abTest.variants[abTest.winner].name}`);
+    return null;
+  }
+
+  async refreshFollowUpAudience(campaign) {
+    const parent = await Campaign.findById(campaign.parent).select('_id');
+    if (!parent) return;
+
+    const audience = new Set(
+      (await Campaign.followUpRecipients(parent, campaign.followUp.audience).select('email').lean())
+        .map(r => r.email.toLowerCase())
+    );
+    const dropped = (await CampaignRecipient.find({ campaign: campaign._id, status: 'pending' }).select('email').lean())
+      .filter(r => !audience.has(r.email.toLowerCase()))
+      .map(r => r._id);
+
+    if (dropped.length > 0) {
+      await CampaignRecipient.deleteMany({ _id: { $in: dropped } });
+      await CampaignStats.applyDelta(campaign._id, { totalRecipients: -dropped.length });
+      console.log(`Follow-up ${campaign._id}: ${dropped.length} recipient(s) no longer match ${campaign.followUp.audience}`);
+    }
+  }
+
+  // Up to a batch of due recipients whose destination domain has room: at
+  // most `concurrency` per domain in one batch, within the domain's rate.
+  // `blocked` lists the domains that had none. Recipients are read a page
+  // at a time; domains already passed over are left out of later pages.
+  async selectBatch(campaign, now) {
+    const selected = [];
+    const perDomain = new Map();
+    const blocked = new Set();
+    const skipped = new Set();
+    let after = null;
+
+    while (selected.length < this.batchSize) {
+      const filter = {
+        ...this.pendingFilter(campaign),
+        $and: [
+          { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+          { $or: [{ sendAt: null }, { sendAt: { $lte: now } }] }
+        ]
+      };
+      if (after) filter._id = { $gt: after };
+      if (skipped.size > 0) filter.domain = { $nin: Array.from(skipped) };
+
+      const page = await CampaignRecipient.find(filter).sort({ _id: 1 }).limit(this.pageSize);
+      if (page.length === 0) break;
+      after = page[page.length - 1]._id;
+
+      for (const recipient of page) {
+        if (selected.length >= this.batchSize) break;
+
+        const rule = DomainThrottle.ruleFor(recipient.email);
+        if (blocked.has(rule.key)) continue;
+
+        const count = perDomain.get(rule.key) || 0;
+        if (count >= rule.concurrency) {
+          skipped.add(CampaignRecipient.domainOf(recipient.email));
+          continue;
+        }
+
+        if (!(await DomainThrottle.reserve(campaign.user, rule))) {
+          blocked.add(rule.key);
+          skipped.add(CampaignRecipient.domainOf(recipient.email));
+          continue;
+        }
+
+        perDomain.set(rule.key, count + 1);
+        selected.push({ recipient, rule });
+      }
+    }
+
+    return { selected, blocked: Array.from(blocked) };
+  }
+
+  // Nothing can be sent right now: run again when the first deferred or
+  // scheduled recipient is due or a throttled domain has room
+  async waitForRecipients(campaign, blocked) {
+    const [next] = await CampaignRecipient.aggregate([
+      { $match: this.pendingFilter(campaign) },
+      { $project: { dueAt: { $max: ['$nextAttemptAt', '$sendAt'] } } },
+      { $match: { dueAt: { $gt: new Date() } } },
+      { $group: { _id: null, dueAt: { $min: '$dueAt' } } }
+    ]);
+
+    const times = next ? [next.dueAt.getTime()] : [];
+    if (blocked.length > 0) {
+      times.push((await DomainThrottle.nextAvailableAt(campaign.user, blocked)).getTime());
+    }
+
+    const requeueAt = new Date(Math.max(times.length > 0 ? Math.min(...times) : 0, Date.now() + 1000));
+    console.log(`Campaign ${campaign._id} waiting for throttled, deferred or scheduled recipients until ${requeueAt.toISOString()}`);
+    return { requeueAt };
+  }
+
+  // Every config in the pool is capped or paused: run again once one frees
+  // up. When none can send until the user fixes them, pause the campaign.
+  async waitForSenders(campaign, configs) {
+    const requeueAt = await SmtpPool.nextAvailableAt(configs);
+
+    if (!requeueAt) {
+      await Campaign.updateOne(
+        { _id: campaign._id, status: { $in: ['sending', 'active'] } },
+        {
+          $set: {
+            status: 'paused',
+            pausedAt: new Date(),
+            error: 'Every SMTP configuration in the pool failed authentication. Re-test them and resume the campaign.',
+            updatedAt: new Date()
+          }
+        }
+      );
+      console.log(`Campaign ${campaign._id} paused: no SMTP configuration can send`);
+      return;
+    }
+
+    console.log(`Campaign ${campaign._id} waiting for SMTP capacity until ${requeueAt.toISOString()}`);
+    return { requeueAt };
+  }
+
+  // A failover: the message was never accepted, so the recipient is
+  // unclaimed and sent again on another config
+  async releaseRecipient(campaign, recipient, emailActivity) {
+    await CampaignRecipient.updateOne(
+      { _id: recipient._id, status: 'pending' },
+      { $unset: { attemptedAt: '' } }
+    );
+
+    if (emailActivity && !emailActivity.isNew) {
+      await EmailActivity.deleteOne({ _id: emailActivity._id, status: 'queued' });
+    }
+  }
+
+  // 'deferred' for a 4xx reply, 'connection' when the SMTP connection
+  // failed, otherwise null: the error is permanent
+  temporaryError(error) {
+    if (DomainThrottle.isDeferral(error)) return 'deferred';
+    if (CONNECTION_ERRORS.includes(error.code)) return 'connection';
+    return null;
+  }
+
+  // Keep the recipient pending and try again later, backing off further
+  // with each retry. Once the retries are used up the recipient is failed.
+  async retryLater(campaign, recipient, emailActivity, error, type) {
+    const now = new Date();
+    const retryCount = (recipient.retryCount || 0) + 1;
+    const errorMessage = error.response || error.message;
+
+    if (retryCount > this.maxRetries) {
+      return this.failRecipient(
+        campaign,
+        recipient,
+        emailActivity,
+        `${errorMessage} (gave up after ${this.maxRetries} retries)`,
+        error.responseCode
+      );
+    }
+
+    const delay = Math.min(this.retryDelay * Math.pow(2, retryCount - 1), this.maxRetryDelay);
+    const nextAttemptAt = new Date(now.getTime() + delay);
+
+    await CampaignStats.updateRecipient(
+      { _id: recipient._id, status: 'pending' },
+      {
+        $set: {
+          nextAttemptAt,
+          firstRetryAt: recipient.firstRetryAt || now,
+          retryCount,
+          errorMessage
+        },
+        $unset: { attemptedAt: '' },
+        $push: {
+          retryHistory: { type, at: now, error: errorMessage, smtpCode: error.responseCode, nextAttemptAt }
+        }
+      }
+    );
+
+    if (emailActivity && !emailActivity.isNew) {
+      await EmailActivity.deleteOne({ _id: emailActivity._id, status: 'queued' });
+    }
+  }
+
+  async failRecipient(campaign, recipient, emailActivity, errorMessage, smtpCode) {
+    await CampaignStats.updateRecipient(
+      { _id: recipient._id },
+      {
+        $set: { status: 'failed', errorMessage },
+        $unset: { nextAttemptAt: '' },
+        $push: { retryHistory: { type: 'failed', at: new Date(), error: errorMessage, smtpCode } }
+      }
+    );
+
+    if (emailActivity && !emailActivity.isNew) {
+      await EmailActivity.updateOne(
+        { _id: emailActivity._id },
+        {
+          $set: {
+            status: 'failed',
+            'response.errorMessage': errorMessage,
+            'response.deliveryStatus': 'failed'
+          }
+        }
+      );
+    }
+  }
+
+  // Checked per batch so an unsubscribe during a long send takes effect
+  // for the rest of the campaign
+  async skipSuppressed(campaign, recipients) {
+    const suppressed = await SuppressionList.findSuppressed(campaign.user, recipients.map(r => r.email));
+    if (suppressed.size === 0) return recipients;
+
+    const skipped = recipients.filter(r => suppressed.has(SuppressionList.normalize(r.email)));
+    for (const recipient of skipped) {
+      await CampaignStats.updateRecipient(
+        { _id: recipient._id, status: 'pending', attemptedAt: { $exists: false } },
+        { $set: { status: 'suppressed', errorMessage: 'Address is on the suppression list' } }
+      );
+    }
+
+    return recipients.filter(r => !suppressed.has(SuppressionList.normalize(r.email)));
+  }
+
+  // Recipients that were claimed but never checkpointed were in flight when
+  // the previous worker stopped. The activity is created before sending and
+  // marked sent right after, so a `queued` activity means we can't tell
+  // whether the message went out; those are failed rather than risk a
+  // duplicate.
+  async recoverInFlight(campaign) {
+    const inFlight = await CampaignRecipient.find({
+      campaign: campaign._id,
+      status: 'pending',
+      attemptedAt: { $exists: true }
+    }).select('email');
+
+    for (const recipient of inFlight) {
+      const activity = await EmailActivity.findOne({
+        campaign: campaign._id,
+        'recipient.email': recipient.email
+      }).select('status tracking.sentAt');
+
+      if (activity && activity.status !== 'queued' && activity.status !== 'failed') {
+        await CampaignStats.updateRecipient(
+          { _id: recipient._id, status: 'pending' },
+          {
+            $set: { status: 'sent', sentAt: activity.tracking.sentAt, activity: activity._id },
+            $unset: { nextAttemptAt: '' }
+          }
+        );
+      } else {
+        const errorMessage = 'Delivery interrupted by a server restart; not retried to avoid a duplicate send';
+        await CampaignStats.updateRecipient(
+          { _id: recipient._id, status: 'pending' },
+          { $set: { status: 'failed', errorMessage }, $unset: { nextAttemptAt: '' } }
+        );
+        if (activity) {
+          await EmailActivity.updateOne(
+            { _id: activity._id },
+            { $set: { status: 'failed', 'response.errorMessage': errorMessage } }
+          );
+        }
+      }
+    }
+  }
+
+  async sendToRecipient(campaign, recipient, sender, rule, attachments = []) {
+    // Checkpoint: claim the recipient before sending so a restart never sends twice
+    const claim = await CampaignRecipient.updateOne(
+      { _id: recipient._id, status: 'pending', attemptedAt: { $exists: false } },
+      { $set: { attemptedAt: new Date() } }
+    );
+    if (claim.modifiedCount === 0) {
+      await SmtpPool.release(sender.config);
+      await DomainThrottle.release(campaign.user, rule);
+      return;
+    }
+
+    let emailActivity;
+
+    // A pool sends each message from the address of the mailbox it goes
+    // through; a single config keeps the campaign's (possibly custom) sender
+    const fromEmail = campaign.settings.smtpPool && campaign.settings.smtpPool.length > 1
+      ? sender.config.fromEmail
+      : campaign.settings.fromEmail;
+
+    try {
+      // Render merge fields for this recipient
+      const unsubscribeUrl = SuppressionList.unsubscribeUrl(campaign.user, recipient.email, campaign._id);
+      const { variant, fromName, subject, html: emailContent, text: textContent } = this.renderMessage(
+        campaign,
+        recipient,
+        unsubscribeUrl
+      );
+
+      // The activity is created first so its id can go into the tracking links
+      emailActivity = new EmailActivity({
+        user: campaign.user,
+        campaign: campaign._id,
+        recipient: {
+          email: recipient.email,
+          name: recipient.name
+        },
+        sender: {
+          email: fromEmail,
+          name: fromName
+        },
+        template: {
+          id: mongoose.isValidObjectId(campaign.settings.templateId) ? campaign.settings.templateId : undefined,
+          name: 'Campaign Template',
+          subject,
+          content: emailContent
+        },
+        emailDetails: {
+          subject,
+          content: emailContent,
+          textContent,
+          smtpConfig: sender.config._id
+        },
+        status: 'queued',
+        tracking: {
+          signedLinks: true
+        },
+        metadata: {
+          emailSize: emailContent.length,
+          attachments: AttachmentStore.toActivityRecords(attachments),
+          variant: variant ? variant.name : undefined,
+          tags: ['campaign', campaign.name.toLowerCase().replace(/\s+/g, '-')]
+        }
+      });
+
+      const senderDomain = (fromEmail || '').split('@')[1] || 'localhost';
+      emailActivity.emailDetails.messageId = `<${emailActivity._id}.${campaign._id}@${senderDomain}>`;
+      await emailActivity.save();
+
+      const html = TrackingInjector.inject(emailContent, emailActivity._id, {
+        trackOpens: campaign.settings.trackOpens,
+        trackClicks: campaign.settings.trackClicks
+      });
+
+      const mailOptions = {
+        from: `${fromName} <${fromEmail}>`,
+        to: recipient.email,
+        subject,
+        html,
+        text: textContent,
+        attachments: AttachmentStore.toMailAttachments(attachments),
+        replyTo: campaign.settings.replyTo,
+        messageId: emailActivity.emailDetails.messageId,
+        headers: SuppressionList.listUnsubscribeHeaders(unsubscribeUrl)
+      };
+
+      const info = await sender.transporter.sendMail(mailOptions);
+      const sentAt = new Date();
+
+      await SmtpPool.reportSuccess(sender.config);
+      await DomainThrottle.recordSuccess(campaign.user, rule);
+
+      await CampaignStats.updateRecipient(
+        { _id: recipient._id },
+        {
+          $set: { status: 'sent', sentAt, activity: emailActivity._id },
+          $unset: { nextAttemptAt: '' }
+        }
+      );
+
+      await EmailActivity.updateOne(
+        { _id: emailActivity._id },
+        {
+          $set: {
+            status: 'sent',
+            'tracking.sentAt': sentAt,
+            'response.smtpResponse': info.response || 'Message sent successfully',
+            'response.deliveryStatus': 'sent',
+            'metadata.emailSize': html.length + attachments.reduce((sum, attachment) => sum + attachment.size, 0),
+            'tracking.linkCount': TrackingInjector.countTrackedLinks(html)
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`Error sending to ${recipient.email}:`, error);
+
+      // Auth failures and throttling are the mailbox's problem, not the
+      // recipient's: take the config out of rotation and try another
+      const poolFailure = SmtpPool.classifyError(error);
+      if (poolFailure) {
+        await SmtpPool.reportFailure(sender.config, poolFailure, error);
+        await SmtpPool.release(sender.config);
+        await DomainThrottle.release(campaign.user, rule);
+        await this.releaseRecipient(campaign, recipient, emailActivity);
+        return;
+      }
+
+      // 4xx deferrals and dropped connections are retried later; a
+      // deferral also backs off the destination domain
+      const temporary = this.temporaryError(error);
+      if (temporary) {
+        if (temporary === 'deferred') {
+          await DomainThrottle.recordDeferral(campaign.user, rule, error);
+        } else {
+          await DomainThrottle.release(campaign.user, rule);
+        }
+        await SmtpPool.release(sender.config);
+        await this.retryLater(campaign, recipient, emailActivity, error, temporary);
+        return;
+      }
+
+      // A rejection by the receiving server is a bounce, not a send failure
+      const bounce = BounceProcessor.fromSmtpError(error);
+      if (bounce && emailActivity && !emailActivity.isNew) {
+        await BounceProcessor.recordBounce(emailActivity, bounce, 'smtp');
+        return;
+      }
+
+      await this.failRecipient(campaign, recipient, emailActivity, error.message, error.responseCode);
+    }
+  }
+
+  // The message a recipient gets: their A/B variant, if any, with merge
+  // fields rendered
+  renderMessage(campaign, recipient, unsubscribeUrl) {
+    // The remainder gets the winner, even if it wasn't assigned to them yet
+    const variantIndex = recipient.variant != null ? recipient.variant : campaign.abTest && campaign.abTest.winner;
+    const variant = campaign.abTest && campaign.abTest.enabled && variantIndex != null
+      ? campaign.abTest.variants[variantIndex]
+      : null;
+    const fromName = (variant && variant.fromName) || campaign.settings.fromName;
+
+    const context = TemplateRenderer.buildContext({ campaign, recipient });
+    context.unsubscribe_url = unsubscribeUrl;
+    context.from_name = fromName;
+
+    const subject = TemplateRenderer.renderSubject((variant && variant.subject) || campaign.subject, context);
+    const html = TemplateRenderer.render((variant && variant.content) || campaign.content, context);
+    // A content variant brings its own text version, or none
+    const textTemplate = variant && variant.content ? variant.textContent : campaign.textContent;
+    const text = textTemplate
+      ? TemplateRenderer.render(textTemplate, context, { html: false })
+      : HtmlToText.convert(html);
+
+    return { variant, fromName, subject, html, text };
+  }
+
+  // Send the campaign as `recipient` would get it to seed addresses,
+  // through the campaign's own SMTP configuration. Test sends aren't
+  // tracked, recorded as activity or counted against usage.
+  async sendTest(campaign, recipient, emails) {
+    const config = await SMTPConfig.findOne({ _id: campaign.settings.smtpConfigId, user: campaign.user, isActive: true });
+    if (!config) return { error: 'SMTP configuration not found' };
+
+    const attachments = campaign.attachments.length > 0
+      ? await Attachment.find({ _id: { $in: campaign.attachments }, user: campaign.user })
+      : [];
+    const transporter = this.createTransporter(config);
+    const fromEmail = campaign.settings.fromEmail || config.fromEmail;
+
+    const results = [];
+    for (const email of emails) {
+      try {
+        // Unsubscribing from a test only affects the seed address
+        const unsubscribeUrl = SuppressionList.unsubscribeUrl(campaign.user, email);
+        const message = this.renderMessage(campaign, recipient, unsubscribeUrl);
+
+        await transporter.sendMail({
+          from: `${message.fromName} <${fromEmail}>`,
+          to: email,
+          subject: `[TEST] ${message.subject}`,
+          html: message.html,
+          text: message.text,
+          attachments: AttachmentStore.toMailAttachments(attachments),
+          replyTo: campaign.settings.replyTo,
+          headers: SuppressionList.listUnsubscribeHeaders(unsubscribeUrl)
+        });
+        results.push({ email, status: 'sent' });
+      } catch (error) {
+        console.error(`Test send of campaign ${campaign._id} to ${email} failed:`, error);
+        results.push({ email, status: 'failed', error: error.message });
+      }
+    }
+
+    return { results };
+  }
+
+  async markFailed(campaignId, error) {
+    await Campaign.findByIdAndUpdate(campaignId, {
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date()
+    });
+  }
+}
+
+module.exports = new CampaignSender();
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+
+// The recipient statuses each stats counter covers: sent is everything that
+// left the server, delivered covers delivered/opened/clicked and opened
+// covers opened/clicked. `deferred` counts pending recipients waiting for a
+// retry and is worked out separately.
+const COUNTERS = {
+  sent: status => !['pending', 'failed', 'suppressed'].includes(status),
+  delivered: status => ['delivered', 'opened', 'clicked'].includes(status),
+  opened: status => ['opened', 'clicked'].includes(status),
+  clicked: status => status === 'clicked',
+  bounced: status => status === 'bounced',
+  failed: status => status === 'failed',
+  suppressed: status => status === 'suppressed'
+};
+
+// Keeps CampaignRecipient documents and Campaign.stats in step. Every
+// recipient status change goes through here as a conditional atomic update
+// followed by an atomic increment of the counters it affects, so concurrent
+// sends and tracking hits never double count and never move a recipient
+// backwards.
+class CampaignStats {
+  async recordOpen(activity, openedAt = new Date()) {
+    if (!activity.campaign) return;
+
+    const changed = await this.updateRecipient(
+      { ...this.recipientMatch(activity), status: { $in: ['sent', 'delivered'] } },
+      { $set: { status: 'opened', openedAt } }
+    );
+
+    // A recipient who clicked before the pixel loaded still gets an open time
+    if (!changed) {
+      await CampaignRecipient.updateOne(
+        { ...this.recipientMatch(activity), openedAt: { $exists: false } },
+        { $set: { openedAt } }
+      );
+    }
+
+    if (changed) await this.afterChange(activity, 'open');
+  }
+
+  async recordClick(activity, clickedAt = new Date()) {
+    if (!activity.campaign) return;
+
+    const changed = await this.updateRecipient(
+      { ...this.recipientMatch(activity), status: { $in: ['sent', 'delivered', 'opened'] } },
+      { $set: { status: 'clicked', clickedAt } }
+    );
+    if (!changed) return;
+
+    // A click without a loaded pixel is also an open
+    await CampaignRecipient.updateOne(
+      { _id: changed._id, openedAt: { $exists: false } },
+      { $set: { openedAt: clickedAt } }
+    );
+
+    await this.afterChange(activity, 'click');
+  }
+
+  // Undo recordClick for clicks later found to be a link scanner's. `status`
+  // is what the recipient goes back to: opened, delivered or sent.
+  async revertClick(activity, status) {
+    if (!activity.campaign) return;
+
+    const unset = { clickedAt: '' };
+    if (status !== 'opened') unset.openedAt = '';
+
+    const changed = await this.updateRecipient(
+      { ...this.recipientMatch(activity), status: 'clicked' },
+      { $set: { status }, $unset: unset }
+    );
+
+    if (changed) await this.afterChange(activity, 'click_reverted');
+  }
+
+  // A bounce can follow a synchronous rejection (recipient still pending) or
+  // arrive later as a DSN; delivered is taken back since the mail never landed
+  async recordBounce(activity, bounce, bouncedAt = new Date()) {
+    if (!activity.campaign) return;
+
+    const changed = await this.updateRecipient(
+      { ...this.recipientMatch(activity), status: { $in: ['pending', 'sent', 'delivered'] } },
+      {
+        $set: {
+          status: 'bounced',
+          bouncedAt,
+          errorMessage: bounce.diagnostic || 'Message bounced',
+          activity: activity._id
+        }
+      }
+    );
+
+    if (changed) await this.afterChange(activity, 'bounce');
+  }
+
+  // Activities created by the queue are linked from the recipient; older
+  // ones can only be matched by address
+  recipientMatch(activity) {
+    return {
+      campaign: activity.campaign,
+      $or: [
+        { activity: activity._id },
+        { activity: { $exists: false }, email: CampaignRecipient.normalizeEmail(activity.recipient.email) }
+      ]
+    };
+  }
+
+  async afterChange(activity, event) {
+    const campaign = await Campaign.findById(activity.campaign).select('user stats');
+    if (campaign && global.io) {
+      global.io.to(`user_${campaign.user}`).emit('campaign_stats', {
+        campaignId: campaign._id,
+        event,
+        recipient: activity.recipient.email,
+        stats: campaign.stats
+      });
+    }
+  }
+
+  // Update one recipient and move the campaign's counters by the change.
+  // Returns the recipient as it was before, or null when none matched.
+  async updateRecipient(filter, update) {
+    const before = await CampaignRecipient.findOneAndUpdate(filter, update)
+      .select('campaign status nextAttemptAt');
+    if (!before) return null;
+
+    let nextAttemptAt = before.nextAttemptAt;
+    if (update.$set && update.$set.nextAttemptAt) nextAttemptAt = update.$set.nextAttemptAt;
+    if (update.$unset && update.$unset.nextAttemptAt !== undefined) nextAttemptAt = null;
+
+    const after = { status: (update.$set && update.$set.status) || before.status, nextAttemptAt };
+    const was = this.countsFor(before);
+    const is = this.countsFor(after);
+
+    await this.applyDelta(before.campaign, Object.fromEntries(
+      Object.keys(is).map(field => [field, is[field] - was[field]])
+    ));
+    return before;
+  }
+
+  // Add recipients to an existing campaign, once per address. Returns how
+  // many were added.
+  async addRecipients(campaignId, recipients) {
+    const added = await CampaignRecipient.insertForCampaign(campaignId, recipients);
+    await this.applyDelta(campaignId, { totalRecipients: added });
+    return added;
+  }
+
+  // Counters a recipient in this state adds to
+  countsFor({ status, nextAttemptAt }) {
+    const counts = {};
+    Object.entries(COUNTERS).forEach(([field, covers]) => { counts[field] = covers(status) ? 1 : 0; });
+    counts.deferred = status === 'pending' && nextAttemptAt ? 1 : 0;
+    return counts;
+  }
+
+  // Add to the counters and recompute the rates in one server-side update
+  async applyDelta(campaignId, delta) {
+    const changes = Object.entries(delta).filter(([, count]) => count !== 0);
+    if (changes.length === 0) return;
+
+    const counters = {};
+    changes.forEach(([field, count]) => {
+      counters[`stats.${field}`] = { $add: [{ $ifNull: [`$stats.${field}`, 0] }, count] };
+    });
+
+    await Campaign.updateOne({ _id: campaignId }, [{ $set: counters }, this.ratesStage()]);
+  }
+
+  // Recompute every counter from the recipients, after changes made to many
+  // recipients at once
+  async recount(campaignId) {
+    const groups = await CampaignRecipient.aggregate([
+      { $match: { campaign: new mongoose.Types.ObjectId(String(campaignId)) } },
+      {
+        $group: {
+          _id: {
+            status: '$status',
+            deferred: { $and: [{ $eq: ['$status', 'pending'] }, { $ifNull: ['$nextAttemptAt', false] }] }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const stats = { totalRecipients: 0, deferred: 0 };
+    Object.keys(COUNTERS).forEach(field => { stats[field] = 0; });
+
+    groups.forEach(({ _id, count }) => {
+      stats.totalRecipients += count;
+      Object.entries(COUNTERS).forEach(([field, covers]) => {
+        if (covers(_id.status)) stats[field] += count;
+      });
+      if (_id.deferred) stats.deferred += count;
+    });
+
+    await Campaign.updateOne({ _id: campaignId }, [
+      { $set: Object.fromEntries(Object.entries(stats).map(([field, count]) => [`stats.${field}`, count])) },
+      this.ratesStage()
+    ]);
+  }
+
+  ratesStage() {
+    const rate = field => ({
+      $cond: [
+        { $gt: ['$stats.sent', 0] },
+        { $multiply: [{ $divide: [`$stats.${field}`, '$stats.sent'] }, 100] },
+        0
+      ]
+    });
+
+    return {
+      $set: {
+        'stats.openRate': rate('opened'),
+        'stats.clickRate': rate('clicked'),
+        'stats.bounceRate': rate('bounced'),
+        updatedAt: '$$NOW'
+      }
+    };
+  }
+
+  // Recipients used to be embedded in the campaign document. Move any that
+  // still are into their own collection. Safe to run again: recipients keep
+  // their ids, and the embedded array is removed only once it is copied.
+  async moveEmbeddedRecipients() {
+    try {
+      const campaigns = Campaign.collection;
+      let moved = 0;
+
+      const cursor = campaigns.find({ recipients: { $exists: true } }).project({ recipients: 1 });
+      for await (const campaign of cursor) {
+        let duplicates = false;
+
+        if (campaign.recipients.length > 0) {
+          try {
+            await CampaignRecipient.bulkWrite(campaign.recipients.map(recipient => ({
+              replaceOne: {
+                filter: { _id: recipient._id },
+                replacement: {
+                  ...recipient,
+                  email: CampaignRecipient.normalizeEmail(recipient.email),
+                  campaign: campaign._id,
+                  domain: CampaignRecipient.domainOf(recipient.email)
+                },
+                upsert: true
+              }
+            })), { ordered: false });
+          } catch (error) {
+            // An address listed twice, in any case, is kept once
+            if (error.code !== 11000) throw error;
+            duplicates = true;
+          }
+        }
+
+        await campaigns.updateOne({ _id: campaign._id }, { $unset: { recipients: '' } });
+        if (duplicates) await this.recount(campaign._id);
+        moved++;
+      }
+
+      if (moved > 0) {
+        console.log(`Moved the recipients of ${moved} campaign(s) to their own collection`);
+      }
+    } catch (error) {
+      console.error('Move campaign recipients error:', error);
+    }
+  }
+}
+
+module.exports = new CampaignStats();
@@ -0,0 +1,269 @@
+const cheerio = require('cheerio');
+
+const KB = 1024;
+
+// Gmail cuts the message off behind a "[Message clipped]" link past this
+const GMAIL_CLIP_SIZE = 102 * KB;
+// Close enough that tracking links and the open pixel can push it over
+const GMAIL_CLIP_WARNING = 90 * KB;
+
+// Phrases spam filters weigh against bulk mail. Matched case-insensitively
+// on word boundaries in the subject and the visible text.
+const SPAM_PHRASES = [
+  '100% free', 'act now', 'apply now', 'as seen on', 'buy direct', 'buy now', 'call now', 'cash bonus',
+  'cheap', 'click below', 'click here', 'congratulations', 'dear friend', 'double your', 'earn extra cash',
+  'earn money', 'eliminate debt', 'extra income', 'fast cash', 'free access', 'free gift', 'free money',
+  'free trial', 'get paid', 'guaranteed', 'increase sales', 'limited time', 'lowest price', 'make money',
+  'million dollars', 'miracle', 'no catch', 'no cost', 'no credit check', 'no obligation', 'once in a lifetime',
+  'order now', 'risk-free', 'risk free', 'satisfaction guaranteed', 'special promotion', 'this is not spam',
+  'urgent', 'winner', 'you have been selected', "you're a winner", 'while supplies last'
+];
+
+// Risk points per finding; the score is their sum, capped at 100
+const POINTS = {
+  spam_phrase: 5,
+  spam_phrase_subject: 10,
+  image_only: 35,
+  image_heavy: 15,
+  missing_unsubscribe: 25,
+  broken_link: 10,
+  html_clipped: 20,
+  html_near_clip: 5,
+  missing_alt: 3,
+  all_caps_subject: 15
+};
+const MAX_SPAM_POINTS = 30;
+const MAX_LINK_POINTS = 30;
+const MAX_ALT_POINTS = 15;
+
+// Less visible text than this per image reads as an image-heavy email
+const MIN_TEXT_PER_IMAGE = 400;
+
+// Pre-flight check of email content. Scores the spam and deliverability
+// risk of a subject and HTML body from 0 (clean) to 100 and lists each
+// problem found. Merge fields are checked as written, before rendering.
+class ContentLinter {
+  lint({ subject = '', html = '' } = {}) {
+    const $ = cheerio.load(html || '');
+    const text = this.visibleText($);
+
+    const findings = [
+      ...this.checkSpamPhrases(subject, text),
+      ...this.checkImages($, text),
+      ...this.checkUnsubscribe($, html || ''),
+      ...this.checkLinks($),
+      ...this.checkSize(html || ''),
+      ...this.checkSubjectCase(subject)
+    ];
+
+    const score = Math.min(100, findings.reduce((sum, finding) => sum + finding.points, 0));
+
+    return {
+      score,
+      level: score >= 60 ? 'high' : score >= 30 ? 'medium' : 'low',
+      findings,
+      checkedAt: new Date()
+    };
+  }
+
+  // Check the campaign as every recipient could get it: the base content
+  // and each A/B variant. The riskiest version is reported.
+  lintCampaign(campaign) {
+    const versions = [{ subject: campaign.subject, html: campaign.content }];
+
+    if (campaign.abTest && campaign.abTest.enabled) {
+      campaign.abTest.variants.forEach(variant => versions.push({
+        variant: variant.name,
+        subject: variant.subject || campaign.subject,
+        html: variant.content || campaign.content
+      }));
+    }
+
+    return versions
+      .map(version => ({ ...this.lint(version), variant: version.variant }))
+      .reduce((worst, report) => (report.score > worst.score ? report : worst));
+  }
+
+  visibleText($) {
+    const body = $('body').length > 0 ? $('body').clone() : $.root().clone();
+    body.find('style, script, head, title').remove();
+    return body.text().replace(/\s+/g, ' ').trim();
+  }
+
+  checkSpamPhrases(subject, text) {
+    const findings = [];
+    let points = 0;
+
+    [['subject', subject], ['body', text]].forEach(([where, value]) => {
+      const lower = (value || '').toLowerCase();
+      const found = SPAM_PHRASES.filter(phrase => new RegExp(`(^|\\W)${this.escape(phrase)}(\\W|$)`).test(lower));
+      if (found.length === 0) return;
+
+      const perPhrase = where === 'subject' ? POINTS.spam_phrase_subject : POINTS.spam_phrase;
+      const findingPoints = Math.min(found.length * perPhrase, MAX_SPAM_POINTS - points);
+      points += findingPoints;
+
+      findings.push({
+        code: 'spam_phrase',
+        severity: where === 'subject' ? 'high' : 'medium',
+        message: `Spam-trigger ${found.length === 1 ? 'phrase' : 'phrases'} in the ${where}: ${found.map(p => `"${p}"`).join(', ')}`,
+        details: { where, phrases: found },
+        points: findingPoints
+      });
+    });
+
+    return findings;
+  }
+
+  checkImages($, text) {
+    const images = $('img').toArray();
+    if (images.length === 0) return [];
+
+    const findings = [];
+
+    if (text.length < 50) {
+      findings.push({
+        code: 'image_only',
+        severity: 'high',
+        message: 'The email is almost all images. Add text so filters and image-blocking clients can read it.',
+        details: { images: images.length, textLength: text.length },
+        points: POINTS.image_only
+      });
+    } else if (text.length / images.length < MIN_TEXT_PER_IMAGE) {
+      findings.push({
+        code: 'image_heavy',
+        severity: 'medium',
+        message: `High image-to-text ratio: ${images.length} image(s) for ${text.length} characters of text`,
+        details: { images: images.length, textLength: text.length },
+        points: POINTS.image_heavy
+      });
+    }
+
+    // alt="" marks an image as decorative, so only a missing attribute counts
+    const missingAlt = images.filter(image => $(image).attr('alt') === undefined);
+    if (missingAlt.length > 0) {
+      findings.push({
+        code: 'missing_alt',
+        severity: 'low',
+        message: `${missingAlt.length} image(s) without alt text`,
+        details: { images: missingAlt.slice(0, 10).map(image => $(image).attr('src') || '') },
+        points: Math.min(missingAlt.length * POINTS.missing_alt, MAX_ALT_POINTS)
+      });
+    }
+
+    return findings;
+  }
+
+  // A visible unsubscribe link, or the {{unsubscribe_url}} merge field
+  checkUnsubscribe($, html) {
+    if (/{{\s*unsubscribe_url/i.test(html)) return [];
+
+    const hasLink = $('a').toArray().some(link => (
+      /unsubscribe|opt-?out/i.test($(link).attr('href') || '') || /unsubscribe|opt[\s-]?out/i.test($(link).text())
+    ));
+    if (hasLink) return [];
+
+    return [{
+      code: 'missing_unsubscribe',
+      severity: 'high',
+      message: 'No unsubscribe link. Add {{unsubscribe_url}} to the content.',
+      details: {},
+      points: POINTS.missing_unsubscribe
+    }];
+  }
+
+  checkLinks($) {
+    const broken = [];
+
+    // <a> without an href is an anchor, not a link
+    $('a[href]').each((index, link) => {
+      const href = $(link).attr('href');
+      const problem = this.linkProblem(href);
+      if (problem) broken.push({ href, text: $(link).text().trim().slice(0, 80), problem });
+    });
+
+    if (broken.length === 0) return [];
+
+    return [{
+      code: 'broken_link',
+      severity: 'medium',
+      message: `${broken.length} broken or unreachable link(s)`,
+      details: { links: broken.slice(0, 20) },
+      points: Math.min(broken.length * POINTS.broken_link, MAX_LINK_POINTS)
+    }];
+  }
+
+  // Why a link won't work for recipients, or null
+  linkProblem(href) {
+    const url = href.trim();
+    if (!url || url === '#') return 'Link has no target';
+    if (/^{{.*}}$/.test(url)) return null;
+    if (/^(mailto:|tel:|sms:|cid:|#)/i.test(url)) return null;
+    if (/^javascript:/i.test(url)) return 'Scripts in links are stripped by email clients';
+    if (/^(file:|\/|\.)/i.test(url)) return 'Local or relative links only work on your own computer or site';
+    if (/^www\./i.test(url)) return 'Link is missing http:// or https://';
+    if (!/^https?:\/\//i.test(url)) return 'Unsupported or missing link scheme';
+
+    // Merge fields are filled in when sending
+    let parsed;
+    try {
+      parsed = new URL(url.replace(/{{.*?}}/g, 'x'));
+    } catch (error) {
+      return 'Malformed URL';
+    }
+
+    if (/\s/.test(url.replace(/{{.*?}}/g, ''))) return 'URL contains spaces';
+    if (/^https?:\/\/[^/?#]*{{/i.test(url)) return null;
+    if (!parsed.hostname.includes('.') || /^(localhost|127\.|10\.|192\.168\.|0\.0\.0\.0)/i.test(parsed.hostname)) {
+      return 'Link points to a local or private address';
+    }
+    return null;
+  }
+
+  checkSize(html) {
+    const size = Buffer.byteLength(html, 'utf8');
+
+    if (size > GMAIL_CLIP_SIZE) {
+      return [{
+        code: 'html_clipped',
+        severity: 'high',
+        message: `HTML is ${Math.round(size / KB)} KB. Gmail clips messages over 102 KB, hiding the rest of the email and the unsubscribe link.`,
+        details: { size },
+        points: POINTS.html_clipped
+      }];
+    }
+    if (size > GMAIL_CLIP_WARNING) {
+      return [{
+        code: 'html_near_clip',
+        severity: 'low',
+        message: `HTML is ${Math.round(size / KB)} KB. Tracking links may push it over Gmail's 102 KB clipping limit.`,
+        details: { size },
+        points: POINTS.html_near_clip
+      }];
+    }
+    return [];
+  }
+
+  checkSubjectCase(subject) {
+    // Merge fields are filled in later and don't count either way
+    const letters = (subject || '').replace(/{{.*?}}/g, '').replace(/[^A-Za-z]/g, '');
+    if (letters.length < 5) return [];
+
+    const upper = letters.replace(/[^A-Z]/g, '').length;
+    if (upper / letters.length < 0.7) return [];
+
+    return [{
+      code: 'all_caps_subject',
+      severity: 'medium',
+      message: 'Subject is written in capitals',
+      details: { subject },
+      points: POINTS.all_caps_subject
+    }];
+  }
+
+  escape(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new ContentLinter();
@@ -0,0 +1,159 @@
+const DomainThrottleState = require('../models/DomainThrottleState');
+
+const MINUTE = 60 * 1000;
+
+// Concurrency is messages to the destination per campaign batch; perMinute
+// is shared by all of a user's campaigns. Providers that rate-limit by
+// sender are grouped so all their domains share one budget.
+const DEFAULT_RULES = {
+  google: { domains: ['gmail.com', 'googlemail.com'], concurrency: 2, perMinute: 20 },
+  microsoft: { domains: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com'], concurrency: 2, perMinute: 20 },
+  yahoo: { domains: ['yahoo.com', 'ymail.com', 'aol.com'], concurrency: 1, perMinute: 10 },
+  apple: { domains: ['icloud.com', 'me.com', 'mac.com'], concurrency: 2, perMinute: 20 },
+  default: { concurrency: 5, perMinute: 60 }
+};
+
+// Back-off after a deferral: 1 minute, doubling per level, at most 1 hour
+const MAX_BACKOFF_LEVEL = 6;
+const MAX_BACKOFF = 60 * MINUTE;
+
+// Per-destination-domain rate limiting for campaign delivery, with adaptive
+// back-off when receiving servers answer with 4xx deferrals.
+// `DOMAIN_THROTTLE_RULES` (JSON, same shape as DEFAULT_RULES) overrides or
+// adds rules by name.
+class DomainThrottle {
+  constructor() {
+    this.rules = { ...DEFAULT_RULES };
+
+    if (process.env.DOMAIN_THROTTLE_RULES) {
+      try {
+        const overrides = JSON.parse(process.env.DOMAIN_THROTTLE_RULES);
+        Object.entries(overrides).forEach(([name, rule]) => {
+          this.rules[name] = { ...(this.rules[name] || this.rules.default), ...rule };
+        });
+      } catch (error) {
+        console.error('Invalid DOMAIN_THROTTLE_RULES, using defaults:', error.message);
+      }
+    }
+
+    this.domainRules = new Map();
+    Object.entries(this.rules).forEach(([name, rule]) => {
+      (rule.domains || []).forEach(domain => this.domainRules.set(domain.toLowerCase(), name));
+    });
+  }
+
+  // `{ key, concurrency, perMinute }` for a recipient address. Domains
+  // without a rule of their own are throttled separately under the default.
+  ruleFor(email) {
+    const domain = String(email).split('@').pop().toLowerCase();
+    const name = this.domainRules.get(domain);
+    const rule = name ? this.rules[name] : this.rules.default;
+
+    return { key: name || domain, concurrency: rule.concurrency, perMinute: rule.perMinute };
+  }
+
+  minuteKey(now) {
+    return now.toISOString().slice(0, 16);
+  }
+
+  // Reserve one send to the rule's destination in the current minute. The
+  // rate is halved for every back-off level.
+  async reserve(userId, rule, now = new Date()) {
+    const minute = this.minuteKey(now);
+
+    // Created the first time the destination is used
+    const filter = { user: userId, key: rule.key };
+    let throttle;
+    try {
+      throttle = await DomainThrottleState.findOneAndUpdate(
+        filter,
+        { $setOnInsert: { minute, sentThisMinute: 0, updatedAt: now } },
+        { upsert: true, new: true }
+      ).select('minute backoff');
+    } catch (error) {
+      // Another worker created the entry at the same moment
+      if (error.code !== 11000) throw error;
+      throttle = await DomainThrottleState.findOne(filter).select('minute backoff');
+    }
+
+    // A new minute starts the count again
+    if (throttle.minute !== minute) {
+      await DomainThrottleState.updateOne(
+        { _id: throttle._id, minute: { $ne: minute } },
+        { $set: { minute, sentThisMinute: 0, updatedAt: now } }
+      );
+    }
+
+    const limit = Math.max(1, Math.floor(rule.perMinute / Math.pow(2, throttle.backoff.level || 0)));
+
+    const reserved = await DomainThrottleState.updateOne(
+      {
+        user: userId,
+        key: rule.key,
+        minute,
+        sentThisMinute: { $lt: limit },
+        $or: [{ 'backoff.until': null }, { 'backoff.until': { $lte: now } }]
+      },
+      { $inc: { sentThisMinute: 1 }, $set: { updatedAt: now } }
+    );
+
+    return reserved.modifiedCount > 0;
+  }
+
+  // Give back a reservation that didn't reach the destination
+  async release(userId, rule, now = new Date()) {
+    await DomainThrottleState.updateOne(
+      { user: userId, key: rule.key, minute: this.minuteKey(now), sentThisMinute: { $gt: 0 } },
+      { $inc: { sentThisMinute: -1 } }
+    );
+  }
+
+  // A 4xx reply to the message itself: the receiving server deferred it
+  isDeferral(error) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+
+  async recordDeferral(userId, rule, error, now = new Date()) {
+    const throttle = await DomainThrottleState.findOneAndUpdate(
+      { user: userId, key: rule.key },
+      {
+        $inc: { 'backoff.level': 1 },
+        $set: { 'backoff.lastError': error.response || error.message, 'backoff.lastDeferredAt': now, updatedAt: now }
+      },
+      { new: true, upsert: true }
+    );
+
+    const level = Math.min(throttle.backoff.level, MAX_BACKOFF_LEVEL);
+    const backoff = Math.min(MINUTE * Math.pow(2, level - 1), MAX_BACKOFF);
+
+    await DomainThrottleState.updateOne(
+      { _id: throttle._id },
+      { $set: { 'backoff.level': level, 'backoff.until': new Date(now.getTime() + backoff) } }
+    );
+    console.warn(`Deferred by ${rule.key}; backing off for ${Math.round(backoff / 1000)}s (level ${level})`);
+  }
+
+  // Each accepted message after the back-off has passed steps the level down
+  async recordSuccess(userId, rule, now = new Date()) {
+    await DomainThrottleState.updateOne(
+      { user: userId, key: rule.key, 'backoff.level': { $gt: 0 }, 'backoff.until': { $lte: now } },
+      { $inc: { 'backoff.level': -1 } }
+    );
+  }
+
+  // Earliest time any of the given destinations accepts another send
+  async nextAvailableAt(userId, keys, now = new Date()) {
+    const throttles = await DomainThrottleState.find({ user: userId, key: { $in: keys } }).select('backoff');
+    const nextMinute = Math.floor(now.getTime() / MINUTE) * MINUTE + MINUTE;
+
+    const times = throttles.map(throttle => (
+      throttle.backoff.until && throttle.backoff.until > now
+        ? throttle.backoff.until.getTime()
+        : nextMinute
+    ));
+
+    return new Date(times.length > 0 ? Math.min(...times) : nextMinute);
+  }
+}
+
+module.exports = new DomainThrottle();
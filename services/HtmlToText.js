@@ -0,0 +1,30 @@
+const { convert } = require('html-to-text');
+
+// Plain-text alternative for HTML emails. Keeps link targets, headings and
+// list structure; images, the tracking pixel and layout tables are dropped
+// or flattened.
+class HtmlToText {
+  constructor() {
+    this.options = {
+      wordwrap: 78,
+      selectors: [
+        { selector: 'img', format: 'skip' },
+        { selector: 'style', format: 'skip' },
+        { selector: 'script', format: 'skip' },
+        { selector: 'a', options: { hideLinkHrefIfSameAsText: true, noAnchorUrl: true } },
+        // Email layouts use tables for positioning, not data
+        { selector: 'table', format: 'block' },
+        { selector: 'tr', format: 'block' },
+        { selector: 'td', format: 'block' },
+        { selector: 'th', format: 'block' }
+      ]
+    };
+  }
+
+  convert(html) {
+    if (!html) return '';
+    return convert(html, this.options).replace(/\n{3,}/g, '\n\n').trim();
+  }
+}
+
+module.exports = new HtmlToText();
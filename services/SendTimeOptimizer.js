@@ -0,0 +1,157 @@
+const EmailActivity = require('../models/EmailActivity');
+const CampaignRecipient = require('../models/CampaignRecipient');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Opens older than this say little about when a contact reads email now
+const HISTORY_WINDOW = 365 * DAY;
+// Fewer opens than this and the contact gets the list-wide model instead
+const MIN_CONTACT_OPENS = 2;
+
+// Picks a send time for each recipient of a "best time" campaign. A contact's
+// past human opens (EmailActivity `tracking.openedAt`) are bucketed by hour
+// of day in the contact's timezone, or UTC when it isn't known, and the
+// busiest hour wins. Contacts with too little history get the busiest hour
+// across the whole list. Each recipient is then released at the first
+// occurrence of that hour within 24 hours of the campaign starting.
+class SendTimeOptimizer {
+  constructor() {
+    this.formatters = new Map();
+  }
+
+  // Set `sendAt` on every pending recipient and return a summary of how the
+  // times were chosen
+  async plan(campaign, windowStart = new Date()) {
+    const recipients = await CampaignRecipient.find({ campaign: campaign._id, status: 'pending' })
+      .select('email data.timezone')
+      .lean();
+    const histograms = await this.contactHistograms(campaign.user, recipients);
+
+    // List-wide model: every recipient's opens in their own local time
+    const listHistogram = new Array(24).fill(0);
+    histograms.forEach(histogram => histogram.forEach((count, hour) => { listHistogram[hour] += count; }));
+    const listHour = this.bestHour(listHistogram);
+
+    const summary = { windowStart, windowEnd: new Date(windowStart.getTime() + DAY), listHour, byContact: 0, byList: 0, immediate: 0 };
+
+    const updates = recipients.map(recipient => {
+      const histogram = histograms.get(recipient.email.toLowerCase());
+      const opens = histogram ? histogram.reduce((sum, count) => sum + count, 0) : 0;
+
+      let hour = null;
+      if (opens >= MIN_CONTACT_OPENS) {
+        hour = this.bestHour(histogram);
+        summary.byContact++;
+      } else if (listHour !== null) {
+        hour = listHour;
+        summary.byList++;
+      } else {
+        summary.immediate++;
+      }
+
+      const sendAt = hour === null
+        ? windowStart
+        : this.nextLocalHour(windowStart, hour, this.timezoneOf(recipient));
+      return { updateOne: { filter: { _id: recipient._id }, update: { $set: { sendAt } } } };
+    });
+
+    if (updates.length > 0) {
+      await CampaignRecipient.bulkWrite(updates, { ordered: false });
+    }
+
+    return summary;
+  }
+
+  // Hour-of-day open counts per recipient address, in the recipient's
+  // timezone
+  async contactHistograms(userId, recipients) {
+    const timezones = new Map(recipients.map(r => [r.email.toLowerCase(), this.timezoneOf(r)]));
+    const histograms = new Map();
+
+    const activities = await EmailActivity.find({
+      user: userId,
+      'recipient.email': { $in: Array.from(timezones.keys()) },
+      'tracking.openedAt': { $gte: new Date(Date.now() - HISTORY_WINDOW) }
+    }).select('recipient.email tracking.openedAt').lean();
+
+    activities.forEach(activity => {
+      const email = activity.recipient.email.toLowerCase();
+      if (!histograms.has(email)) histograms.set(email, new Array(24).fill(0));
+
+      const { hour } = this.localTime(activity.tracking.openedAt, timezones.get(email));
+      histograms.get(email)[hour]++;
+    });
+
+    return histograms;
+  }
+
+  // Busiest hour, counting the hours either side at half weight so sparse
+  // histograms favour a cluster over a single stray open; null when empty
+  bestHour(histogram) {
+    let best = null;
+    let bestScore = 0;
+
+    for (let hour = 0; hour < 24; hour++) {
+      const score = histogram[hour] + (histogram[(hour + 23) % 24] + histogram[(hour + 1) % 24]) / 2;
+      if (score > bestScore) {
+        best = hour;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  // First moment at or after `start` when it is `hour` o'clock in
+  // `timezone`: `start` itself when that hour is already under way
+  nextLocalHour(start, hour, timezone) {
+    for (let offset = 0; offset < 24; offset++) {
+      const candidate = new Date(start.getTime() + offset * HOUR);
+      const local = this.localTime(candidate, timezone);
+      if (local.hour !== hour) continue;
+
+      if (offset === 0) return start;
+      // Back to the top of the local hour
+      return new Date(candidate.getTime() - (local.minute * 60 + local.second) * 1000 - candidate.getMilliseconds());
+    }
+
+    // The hour is skipped by a DST change within the window
+    return start;
+  }
+
+  timezoneOf(recipient) {
+    const timezone = recipient.data && recipient.data.timezone;
+    return timezone && this.formatter(timezone) ? timezone : 'UTC';
+  }
+
+  localTime(date, timezone) {
+    const parts = {};
+    this.formatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = parseInt(value, 10);
+    });
+    return { hour: parts.hour, minute: parts.minute, second: parts.second };
+  }
+
+  // Cached per timezone; null for an unknown timezone
+  formatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      let formatter = null;
+      try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone,
+          hourCycle: 'h23',
+          hour: 'numeric',
+          minute: 'numeric',
+          second: 'numeric'
+        });
+      } catch (error) {
+        console.warn(`Unknown timezone ${timezone}; using UTC for send-time optimization`);
+      }
+      this.formatters.set(timezone, formatter);
+    }
+    return this.formatters.get(timezone);
+  }
+}
+
+module.exports = new SendTimeOptimizer();
@@ -0,0 +1,225 @@
+const SMTPConfig = require('../models/SMTPConfig');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Back-off for a throttled config: 5 minutes, doubling, at most 2 hours
+const THROTTLE_BACKOFF = 5 * 60 * 1000;
+const MAX_THROTTLE_BACKOFF = 2 * HOUR;
+
+const AUTH_CODES = [530, 534, 535];
+// Replies about the sending account's own limits. Other 4xx replies are
+// deferrals by the receiving side and handled per recipient domain.
+const THROTTLE_PATTERN = /sending (limit|quota|rate)|quota exceeded|too many (connections|login attempts|messages sent)/i;
+
+// Spreads a campaign across a pool of SMTP configs. Each config has its own
+// daily and hourly caps and optional warm-up ramp; sends are reserved
+// atomically against those caps so campaigns sharing a mailbox never go
+// over them. Configs that fail authentication or get throttled are taken
+// out of rotation and the campaign carries on with the rest.
+class SmtpPool {
+  // Active configs of a campaign's pool, in pool order
+  async load(campaign) {
+    const ids = campaign.settings.smtpPool && campaign.settings.smtpPool.length > 0
+      ? campaign.settings.smtpPool
+      : [campaign.settings.smtpConfigId];
+
+    const configs = await SMTPConfig.find({ _id: { $in: ids }, user: campaign.user, isActive: true });
+    return ids
+      .map(id => configs.find(config => config._id.equals(id)))
+      .filter(Boolean);
+  }
+
+  dayKey(now) {
+    return now.toISOString().slice(0, 10);
+  }
+
+  hourKey(now) {
+    return now.toISOString().slice(0, 13);
+  }
+
+  // Today's cap, lowered by the warm-up ramp; null when uncapped
+  dailyCap(config, now = new Date()) {
+    let cap = config.limits && config.limits.daily ? config.limits.daily : null;
+
+    if (config.warmup && config.warmup.enabled && config.warmup.startedAt) {
+      const days = Math.max(0, Math.floor((now - config.warmup.startedAt) / DAY));
+      const ramp = Math.floor(config.warmup.startVolume * Math.pow(1 + config.warmup.dailyIncrease, days));
+      cap = cap === null ? ramp : Math.min(cap, ramp);
+    }
+
+    return cap;
+  }
+
+  hourlyCap(config) {
+    return config.limits && config.limits.hourly ? config.limits.hourly : null;
+  }
+
+  // Reserve one send on the next config in rotation. Returns the reserved
+  // config, or null when every config is capped or out of rotation.
+  async acquire(configs, rotation = 'round_robin', now = new Date()) {
+    for (const config of this.order(configs, rotation)) {
+      const reserved = await this.reserve(config, now);
+      if (reserved) {
+        configs[configs.indexOf(config)] = reserved;
+        return reserved;
+      }
+    }
+    return null;
+  }
+
+  // Round robin sends on the least recently used config. Weighted rotation
+  // picks the config furthest below its share of today's sends.
+  order(configs, rotation) {
+    const lastUsed = config => (config.usage && config.usage.lastUsedAt ? config.usage.lastUsedAt.getTime() : 0);
+
+    if (rotation === 'weighted') {
+      const load = config => ((config.usage && config.usage.sentToday) || 0) / (config.weight || 1);
+      return [...configs].sort((a, b) => load(a) - load(b) || lastUsed(a) - lastUsed(b));
+    }
+
+    return [...configs].sort((a, b) => lastUsed(a) - lastUsed(b));
+  }
+
+  async reserve(config, now) {
+    const day = this.dayKey(now);
+    const hour = this.hourKey(now);
+
+    // Start new counters when the day or hour has rolled over
+    await SMTPConfig.updateOne(
+      { _id: config._id, 'usage.day': { $ne: day } },
+      { $set: { 'usage.day': day, 'usage.sentToday': 0 } }
+    );
+    await SMTPConfig.updateOne(
+      { _id: config._id, 'usage.hour': { $ne: hour } },
+      { $set: { 'usage.hour': hour, 'usage.sentThisHour': 0 } }
+    );
+
+    const query = {
+      _id: config._id,
+      isActive: true,
+      'health.status': { $ne: 'auth_failed' },
+      $or: [{ 'health.pausedUntil': null }, { 'health.pausedUntil': { $lte: now } }],
+      'usage.day': day,
+      'usage.hour': hour
+    };
+
+    const dailyCap = this.dailyCap(config, now);
+    const hourlyCap = this.hourlyCap(config);
+    if (dailyCap !== null) query['usage.sentToday'] = { $lt: dailyCap };
+    if (hourlyCap !== null) query['usage.sentThisHour'] = { $lt: hourlyCap };
+
+    return SMTPConfig.findOneAndUpdate(
+      query,
+      {
+        $inc: { 'usage.sentToday': 1, 'usage.sentThisHour': 1 },
+        $set: { 'usage.lastUsedAt': now }
+      },
+      { new: true }
+    );
+  }
+
+  // Give back a reservation that didn't result in a send
+  async release(config, now = new Date()) {
+    await SMTPConfig.updateOne(
+      { _id: config._id, 'usage.day': this.dayKey(now), 'usage.sentToday': { $gt: 0 } },
+      { $inc: { 'usage.sentToday': -1 } }
+    );
+    await SMTPConfig.updateOne(
+      { _id: config._id, 'usage.hour': this.hourKey(now), 'usage.sentThisHour': { $gt: 0 } },
+      { $inc: { 'usage.sentThisHour': -1 } }
+    );
+  }
+
+  // 'auth' or 'throttled' when a send error means the config itself should
+  // leave rotation, otherwise null
+  classifyError(error) {
+    if (error.code === 'EAUTH' || AUTH_CODES.includes(error.responseCode)) return 'auth';
+
+    // 421 before the envelope is the server refusing the session
+    const text = `${error.response || ''} ${error.message || ''}`;
+    if ((error.responseCode === 421 && error.code !== 'EENVELOPE') || THROTTLE_PATTERN.test(text)) return 'throttled';
+
+    return null;
+  }
+
+  // An auth failure takes the config out of rotation until it is re-tested;
+  // throttling pauses it with an increasing back-off
+  async reportFailure(config, kind, error, now = new Date()) {
+    if (kind === 'auth') {
+      await SMTPConfig.updateOne(
+        { _id: config._id },
+        {
+          $set: {
+            isVerified: false,
+            'health.status': 'auth_failed',
+            'health.lastError': error.message,
+            'health.lastErrorAt': now
+          },
+          $inc: { 'health.failures': 1 }
+        }
+      );
+      console.warn(`SMTP config ${config._id} failed authentication; removed from rotation`);
+      return;
+    }
+
+    const updated = await SMTPConfig.findOneAndUpdate(
+      { _id: config._id },
+      {
+        $set: { 'health.status': 'throttled', 'health.lastError': error.message, 'health.lastErrorAt': now },
+        $inc: { 'health.failures': 1 }
+      },
+      { new: true }
+    );
+    if (!updated) return;
+
+    const backoff = Math.min(THROTTLE_BACKOFF * Math.pow(2, updated.health.failures - 1), MAX_THROTTLE_BACKOFF);
+    await SMTPConfig.updateOne(
+      { _id: config._id, 'health.status': 'throttled' },
+      { $set: { 'health.pausedUntil': new Date(now.getTime() + backoff) } }
+    );
+    console.warn(`SMTP config ${config._id} throttled; paused for ${Math.round(backoff / 60000)} minutes`);
+  }
+
+  // A successful send ends a throttling streak
+  async reportSuccess(config) {
+    if (!config.health || config.health.failures === 0) return;
+
+    await SMTPConfig.updateOne(
+      { _id: config._id, 'health.status': { $ne: 'auth_failed' } },
+      { $set: { 'health.status': 'healthy', 'health.failures': 0 }, $unset: { 'health.pausedUntil': '' } }
+    );
+  }
+
+  // Earliest time any config in the pool can send again, or null when none
+  // can until the user fixes them
+  async nextAvailableAt(configs, now = new Date()) {
+    const fresh = await SMTPConfig.find({ _id: { $in: configs.map(config => config._id) }, isActive: true });
+
+    const times = fresh
+      .filter(config => config.health.status !== 'auth_failed')
+      .map(config => {
+        let at = now.getTime();
+        if (config.health.pausedUntil && config.health.pausedUntil > now) {
+          at = config.health.pausedUntil.getTime();
+        }
+
+        const dailyCap = this.dailyCap(config, now);
+        if (dailyCap !== null && config.usage.day === this.dayKey(now) && config.usage.sentToday >= dailyCap) {
+          at = Math.max(at, Math.floor(now.getTime() / DAY) * DAY + DAY);
+        }
+
+        const hourlyCap = this.hourlyCap(config);
+        if (hourlyCap !== null && config.usage.hour === this.hourKey(now) && config.usage.sentThisHour >= hourlyCap) {
+          at = Math.max(at, Math.floor(now.getTime() / HOUR) * HOUR + HOUR);
+        }
+
+        return at;
+      });
+
+    if (times.length === 0) return null;
+    return new Date(Math.max(Math.min(...times), now.getTime() + 1000));
+  }
+}
+
+module.exports = new SmtpPool();
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const Suppression = require('../models/Suppression');
+
+// Per-user list of addresses that must never be mailed again (unsubscribes,
+// hard bounces, complaints), plus the signed tokens behind unsubscribe links.
+class SuppressionList {
+  constructor() {
+    this.secret = process.env.UNSUBSCRIBE_SECRET || process.env.TRACKING_SECRET || process.env.JWT_SECRET;
+    // A built-in key would let anyone mint unsubscribe tokens for any address
+    if (!this.secret) {
+      throw new Error('UNSUBSCRIBE_SECRET, TRACKING_SECRET or JWT_SECRET must be set to sign unsubscribe links');
+    }
+    this.baseUrl = (process.env.TRACKING_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+  }
+
+  normalize(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  async isSuppressed(userId, email) {
+    const entry = await Suppression.exists({ user: userId, email: this.normalize(email) });
+    return Boolean(entry);
+  }
+
+  // Returns the subset of `emails` that are suppressed, normalized
+  async findSuppressed(userId, emails) {
+    const normalized = [...new Set(emails.map(email => this.normalize(email)).filter(Boolean))];
+    if (normalized.length === 0) return new Set();
+
+    const entries = await Suppression.find({ user: userId, email: { $in: normalized } }).select('email');
+    return new Set(entries.map(entry => entry.email));
+  }
+
+  // Add an address; an existing entry keeps its original reason
+  async add(userId, email, reason, details = {}) {
+    const { campaign, activity, ipAddress, userAgent, note } = details;
+
+    return Suppression.findOneAndUpdate(
+      { user: userId, email: this.normalize(email) },
+      {
+        $setOnInsert: {
+          reason,
+          source: { campaign, activity, ipAddress, userAgent },
+          note,
+          createdAt: new Date()
+        },
+        $set: { updatedAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  async remove(userId, email) {
+    return Suppression.deleteOne({ user: userId, email: this.normalize(email) });
+  }
+
+  // Unsubscribe tokens carry the owner, address and campaign so the public
+  // route needs no lookup to know what to suppress
+  createToken(userId, email, campaignId) {
+    const payload = Buffer.from(JSON.stringify({
+      u: String(userId),
+      e: this.normalize(email),
+      c: campaignId ? String(campaignId) : undefined
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [payload, sig] = token.split('.');
+    if (!payload || !sig) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return { userId: data.u, email: data.e, campaignId: data.c };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  unsubscribeUrl(userId, email, campaignId) {
+    return `${this.baseUrl}/api/unsubscribe/${this.createToken(userId, email, campaignId)}`;
+  }
+
+  // RFC 2369 / RFC 8058 headers for one-click unsubscribe
+  listUnsubscribeHeaders(url) {
+    return {
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+}
+
+module.exports = new SuppressionList();
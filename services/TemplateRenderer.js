@@ -0,0 +1,342 @@
+// Merge-field rendering for campaign subjects and content.
+//
+//   {{first_name}}                 contact field, campaign variable or built-in
+//   {{first_name | "there"}}       default when the value is empty
+//   {{{newsletter_content}}}       unescaped HTML
+//   {{#if company}}...{{else}}...{{/if}}, {{#unless vip}}...{{/unless}}
+//   {{#each items}}{{name}} {{@index}} {{this}}{{/each}}
+//
+// Variables may use dotted paths (`{{custom.plan}}`). Missing values render as
+// an empty string.
+class TemplateSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+  }
+}
+
+const TAG_PATTERN = /{{{\s*([\s\S]*?)\s*}}}|{{\s*([\s\S]*?)\s*}}/g;
+const NAME_PATTERN = /^(@?[A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)*|this|\.)$/;
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+class TemplateRenderer {
+  constructor() {
+    this.TemplateSyntaxError = TemplateSyntaxError;
+    this.cache = new Map();
+    this.cacheLimit = 200;
+  }
+
+  // Render `template` against `context`. HTML output escapes values unless
+  // the tag uses triple braces; text output (subjects) never escapes.
+  render(template, context = {}, options = {}) {
+    const { html = true } = options;
+    const nodes = this.compile(template || '');
+    return this.renderNodes(nodes, [context], html);
+  }
+
+  renderSubject(subject, context = {}) {
+    return this.render(subject, context, { html: false }).replace(/\s+/g, ' ').trim();
+  }
+
+  // Throws TemplateSyntaxError for unbalanced blocks or malformed tags
+  validate(template) {
+    this.compile(template || '');
+  }
+
+  // Error message for the first template that doesn't parse, or null.
+  // Undefined templates are skipped.
+  syntaxError(...templates) {
+    try {
+      templates.filter(template => template !== undefined).forEach(template => this.validate(template));
+      return null;
+    } catch (error) {
+      if (error instanceof TemplateSyntaxError) return `Template error: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // Variables referenced by a template, outside loop bodies. `hasDefault`
+  // is false when some use would render empty for a missing value, i.e. it
+  // has no default and isn't inside an {{#if}} on the same field.
+  variables(template) {
+    const found = new Map();
+
+    const visit = (nodes, inLoop, guarded) => {
+      for (const node of nodes) {
+        if (node.type === 'text') continue;
+
+        const { name } = node;
+        if (!inLoop && !name.startsWith('@') && name !== 'this' && name !== '.') {
+          const entry = found.get(name) || { name, hasDefault: true, usedInBlock: false };
+          if (node.type === 'var' && node.fallback === undefined && !guarded.has(name)) entry.hasDefault = false;
+          if (node.type !== 'var') entry.usedInBlock = true;
+          found.set(name, entry);
+        }
+
+        if (node.children) {
+          const inner = node.type === 'if' ? new Set([...guarded, name]) : guarded;
+          visit(node.children, inLoop || node.type === 'each', inner);
+        }
+        if (node.inverse) {
+          const inner = node.type === 'unless' ? new Set([...guarded, name]) : guarded;
+          visit(node.inverse, inLoop, inner);
+        }
+      }
+    };
+
+    visit(this.compile(template || ''), false, new Set());
+    return [...found.values()];
+  }
+
+  // Check which merge fields would render empty for each recipient. Returns
+  // one entry per variable with the number of recipients lacking a value;
+  // `blocking` marks fields that are missing somewhere and have no default.
+  analyzeMergeFields(templates, recipients, options = {}) {
+    const variables = new Map();
+    for (const template of templates.filter(Boolean)) {
+      for (const variable of this.variables(template)) {
+        const existing = variables.get(variable.name);
+        variables.set(variable.name, existing ? {
+          ...existing,
+          hasDefault: existing.hasDefault && variable.hasDefault,
+          usedInBlock: existing.usedInBlock || variable.usedInBlock
+        } : variable);
+      }
+    }
+
+    const report = [...variables.values()].map(variable => ({
+      ...variable,
+      missingCount: 0,
+      sampleRecipients: []
+    }));
+
+    for (const recipient of recipients) {
+      const context = this.buildContext({ ...options, recipient });
+      context.unsubscribe_url = 'unsubscribe_url';
+
+      for (const entry of report) {
+        if (!this.isEmpty(this.lookup(entry.name, [context]))) continue;
+
+        entry.missingCount++;
+        if (entry.sampleRecipients.length < 5) entry.sampleRecipients.push(recipient.email);
+      }
+    }
+
+    return report.map(entry => ({
+      ...entry,
+      blocking: entry.missingCount > 0 && !entry.hasDefault
+    }));
+  }
+
+  // Build the merge context for one recipient. Later sources win: built-ins,
+  // then campaign variables, then the recipient's contact data.
+  buildContext({ campaign, recipient = {}, variables = {}, now = new Date() } = {}) {
+    const data = recipient.data || {};
+    const nameParts = (recipient.name || '').trim().split(/\s+/).filter(Boolean);
+    const customFields = this.toObject(data.customFields);
+
+    const firstName = data.firstName || nameParts[0] || '';
+    const lastName = data.lastName || nameParts.slice(1).join(' ');
+
+    const contact = {
+      email: recipient.email || '',
+      name: recipient.name || `${firstName} ${lastName}`.trim(),
+      full_name: `${firstName} ${lastName}`.trim(),
+      first_name: firstName,
+      last_name: lastName,
+      company: data.company || '',
+      phone: data.phone || recipient.phone || '',
+      tags: data.tags || [],
+      custom: customFields
+    };
+
+    return {
+      year: now.getFullYear(),
+      month: MONTHS[now.getMonth()],
+      date: now.toISOString().slice(0, 10),
+      company_name: campaign?.settings?.fromName || '',
+      from_name: campaign?.settings?.fromName || '',
+      from_email: campaign?.settings?.fromEmail || '',
+      campaign_name: campaign?.name || '',
+      ...this.toObject(campaign?.variables),
+      ...variables,
+      ...customFields,
+      ...contact
+    };
+  }
+
+  toObject(value) {
+    if (!value) return {};
+    if (value instanceof Map) return Object.fromEntries(value);
+    if (typeof value.toObject === 'function') return value.toObject();
+    return { ...value };
+  }
+
+  compile(template) {
+    if (this.cache.has(template)) return this.cache.get(template);
+
+    const nodes = this.parse(template);
+    if (this.cache.size >= this.cacheLimit) this.cache.clear();
+    this.cache.set(template, nodes);
+    return nodes;
+  }
+
+  parse(template) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    // Where text and tags currently go: a block's body or its {{else}} branch
+    const target = () => {
+      const current = stack[stack.length - 1];
+      return current.inElse ? current.inverse : current.children;
+    };
+
+    let lastIndex = 0;
+    let match;
+    TAG_PATTERN.lastIndex = 0;
+
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+      if (match.index > lastIndex) {
+        target().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      const raw = match[1] !== undefined;
+      const body = (raw ? match[1] : match[2]).trim();
+
+      if (body.startsWith('!')) continue; // comment
+
+      if (body.startsWith('#')) {
+        const [, helper, name] = body.match(/^#(if|unless|each)\s+(\S+)$/) || [];
+        if (!helper) throw new TemplateSyntaxError(`Unknown block "{{${body}}}"`);
+        this.checkName(name, body);
+
+        const node = { type: helper, name, children: [], inverse: [], inElse: false };
+        target().push(node);
+        stack.push(node);
+      } else if (body === 'else') {
+        const current = stack[stack.length - 1];
+        if (current.type === 'root' || current.inElse) throw new TemplateSyntaxError('Unexpected "{{else}}"');
+        current.inElse = true;
+      } else if (body.startsWith('/')) {
+        const helper = body.slice(1).trim();
+        const current = stack.pop();
+        if (current.type === 'root' || current.type !== helper) {
+          throw new TemplateSyntaxError(`Unexpected "{{/${helper}}}"`);
+        }
+        delete current.inElse;
+      } else {
+        target().push(this.parseVariable(body, raw));
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new TemplateSyntaxError(`Missing "{{/${stack[stack.length - 1].type}}}"`);
+    }
+
+    if (lastIndex < template.length) {
+      target().push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    return root.children;
+  }
+
+  // `name` or `name | "default"`
+  parseVariable(body, raw) {
+    const [, name, doubleQuoted, singleQuoted] = body.match(/^([^|]+?)\s*(?:\|\s*(?:"([^"]*)"|'([^']*)'))?$/) || [];
+    this.checkName(name, body);
+
+    return {
+      type: 'var',
+      name,
+      raw,
+      fallback: doubleQuoted !== undefined ? doubleQuoted : singleQuoted
+    };
+  }
+
+  checkName(name, body) {
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw new TemplateSyntaxError(`Invalid merge field "{{${body}}}"`);
+    }
+  }
+
+  renderNodes(nodes, scopes, html) {
+    let output = '';
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+        case 'var': {
+          let value = this.lookup(node.name, scopes);
+          if (this.isEmpty(value)) value = node.fallback !== undefined ? node.fallback : '';
+          if (Array.isArray(value)) value = value.join(', ');
+          const text = typeof value === 'object' ? '' : String(value);
+          output += html && !node.raw ? this.escape(text) : text;
+          break;
+        }
+        case 'if':
+        case 'unless': {
+          const truthy = !this.isEmpty(this.lookup(node.name, scopes));
+          const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+          output += this.renderNodes(branch, scopes, html);
+          break;
+        }
+        case 'each': {
+          const value = this.lookup(node.name, scopes);
+          const items = Array.isArray(value) ? value : value && typeof value === 'object' ? Object.values(this.toObject(value)) : [];
+
+          if (items.length === 0) {
+            output += this.renderNodes(node.inverse, scopes, html);
+            break;
+          }
+
+          items.forEach((item, index) => {
+            const scope = { this: item, '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === items.length - 1 };
+            if (item && typeof item === 'object' && !Array.isArray(item)) Object.assign(scope, this.toObject(item));
+            output += this.renderNodes(node.children, [...scopes, scope], html);
+          });
+          break;
+        }
+      }
+    }
+
+    return output;
+  }
+
+  // Innermost scope first, so loop items shadow outer fields
+  lookup(name, scopes) {
+    if (name === '.') name = 'this';
+    const [head, ...path] = name.split('.');
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (scope && Object.prototype.hasOwnProperty.call(scope, head)) {
+        return path.reduce((value, key) => {
+          if (value === null || value === undefined) return undefined;
+          if (value instanceof Map) return value.get(key);
+          return value[key];
+        }, scope[head]);
+      }
+    }
+    return undefined;
+  }
+
+  isEmpty(value) {
+    if (value === undefined || value === null || value === false || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+  }
+
+  escape(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new TemplateRenderer();
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+
+// Looks up the templates campaigns and automation steps are built from:
+// the user's own templates and the built-in system templates.
+class TemplateStore {
+  // User template by id, or a system template by its `system_` key
+  async find(templateId, userId) {
+    if (templateId.startsWith('system_')) {
+      // Loaded lazily: the system templates live with the templates routes
+      const { systemTemplates } = require('../routes/templates');
+      return systemTemplates.find(t => t._id === templateId) || null;
+    }
+
+    if (!mongoose.isValidObjectId(templateId)) return null;
+    return Template.findOne({
+      _id: templateId,
+      user: userId
+    });
+  }
+}
+
+module.exports = new TemplateStore();
@@ -0,0 +1,75 @@
+// Opens fetched by privacy proxies rather than by the reader. Apple's proxy
+// sends a bare "Mozilla/5.0". Gmail's GoogleImageProxy only fetches when the
+// message is opened, so it is treated as human.
+const PROXY_USER_AGENTS = [/^Mozilla\/5\.0$/, /YahooMailProxy/i];
+
+// Security scanners and automated HTTP clients
+const SCANNER_USER_AGENTS = [
+  /bot\b|crawler|spider|scanner|preview/i,
+  /Barracuda|Mimecast|Proofpoint|Symantec|Trend ?Micro|Sophos|Forcepoint|FireEye|Cisco|SafeLinks/i,
+  /python-requests|curl\/|wget\/|Go-http-client|okhttp|Java\/|libwww|HeadlessChrome/i
+];
+
+// Hits this soon after sending are too fast for a person
+const MACHINE_WINDOW = (parseInt(process.env.TRACKING_MACHINE_WINDOW_SECONDS) || 10) * 1000;
+
+// Clicks on every link within this span are a scanner sweeping the email
+const CLICK_BURST_WINDOW = 10 * 1000;
+
+// Machine open/click classification. Mail privacy proxies (Apple Mail
+// Privacy Protection, Yahoo) prefetch the pixel, and corporate link scanners
+// follow every link seconds after delivery; neither is a person reading.
+class TrackingClassifier {
+  classifyOpen(activity, userAgent, now) {
+    if (this.matchUserAgent(userAgent, PROXY_USER_AGENTS)) {
+      return { isMachine: true, reason: userAgent ? 'privacy_proxy' : 'missing_user_agent' };
+    }
+    if (this.matchUserAgent(userAgent, SCANNER_USER_AGENTS)) {
+      return { isMachine: true, reason: 'scanner_user_agent' };
+    }
+    if (this.isTooSoon(activity, now)) {
+      return { isMachine: true, reason: 'too_soon_after_send' };
+    }
+    return { isMachine: false, reason: undefined };
+  }
+
+  // A click that completes a sweep of every link in the email also returns
+  // the earlier clicks of that sweep that were counted as human
+  classifyClick(activity, userAgent, now, linkIndex) {
+    if (this.matchUserAgent(userAgent, SCANNER_USER_AGENTS)) {
+      return { isMachine: true, reason: userAgent ? 'scanner_user_agent' : 'missing_user_agent' };
+    }
+    if (this.isTooSoon(activity, now)) {
+      return { isMachine: true, reason: 'too_soon_after_send' };
+    }
+
+    const linkCount = activity.tracking?.linkCount || 0;
+    if (linkCount >= 2 && linkIndex !== undefined) {
+      const recent = (activity.tracking?.clickEvents || [])
+        .filter(event => now - event.clickedAt <= CLICK_BURST_WINDOW);
+      const positions = new Set(recent.map(event => event.linkIndex).concat(linkIndex));
+
+      if (positions.size >= linkCount) {
+        return {
+          isMachine: true,
+          reason: 'all_links_clicked',
+          burst: recent.filter(event => !event.isMachine)
+        };
+      }
+    }
+
+    return { isMachine: false, reason: undefined };
+  }
+
+  matchUserAgent(userAgent, patterns) {
+    if (!userAgent || !userAgent.trim()) return 'missing_user_agent';
+    return patterns.some(pattern => pattern.test(userAgent)) ? 'known_user_agent' : null;
+  }
+
+  isTooSoon(activity, now) {
+    const sentAt = activity.tracking?.sentAt || activity.createdAt;
+    return sentAt && now - sentAt < MACHINE_WINDOW;
+  }
+}
+
+module.exports = new TrackingClassifier();
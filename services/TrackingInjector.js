@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// Rewrites outgoing campaign HTML so opens and clicks reach the
+// /api/email-tracking routes: adds a 1x1 open pixel and turns every link into
+// a tracked redirect. Redirect URLs are HMAC-signed so the click route can't
+// be used as an open redirect.
+class TrackingInjector {
+  constructor() {
+    this.secret = process.env.TRACKING_SECRET || process.env.JWT_SECRET;
+    // A built-in key would let anyone sign a redirect to any URL
+    if (!this.secret) {
+      throw new Error('TRACKING_SECRET or JWT_SECRET must be set to sign tracking links');
+    }
+    this.baseUrl = (process.env.TRACKING_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+    // Links that must keep pointing at their real target
+    this.skipSchemes = /^(mailto:|tel:|sms:|javascript:|#|cid:|data:)/i;
+    this.unsubscribePattern = /unsubscribe|opt-?out|{{\s*unsubscribe_url/i;
+  }
+
+  inject(html, activityId, options = {}) {
+    const { trackOpens = true, trackClicks = true } = options;
+    let result = html;
+
+    if (trackClicks) {
+      result = this.rewriteLinks(result, activityId);
+    }
+
+    if (trackOpens) {
+      result = this.addOpenPixel(result, activityId);
+    }
+
+    return result;
+  }
+
+  openUrl(activityId) {
+    return `${this.baseUrl}/api/email-tracking/track-open/${activityId}`;
+  }
+
+  clickUrl(activityId, url, linkIndex) {
+    const sig = this.signClick(activityId, linkIndex, url);
+    return `${this.baseUrl}/api/email-tracking/track-click/${activityId}?url=${encodeURIComponent(url)}&i=${linkIndex}&sig=${sig}`;
+  }
+
+  // Signature binding a target URL to one activity and one link position
+  signClick(activityId, linkIndex, url) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${activityId}:${linkIndex}:${url}`)
+      .digest('base64url');
+  }
+
+  verifyClick(activityId, linkIndex, url, sig) {
+    if (!sig || typeof sig !== 'string') return false;
+
+    const expected = Buffer.from(this.signClick(activityId, linkIndex, url));
+    const actual = Buffer.from(sig);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Whether `url` appears as a link in stored email HTML. Used to vet
+  // unsigned links from emails sent before links were signed.
+  containsLink(html, url) {
+    if (!html || !url) return false;
+
+    const pattern = /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1/gis;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      if (this.decodeEntities(match[2].trim()) === url) return true;
+    }
+    return false;
+  }
+
+  // Number of distinct tracked links in injected HTML. The click route uses
+  // it to spot scanners that follow every link at once.
+  countTrackedLinks(html) {
+    const pattern = /\/api\/email-tracking\/track-click\/[^"'\s]*?[?&](?:amp;)?i=(\d+)/g;
+    const positions = new Set();
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      positions.add(match[1]);
+    }
+    return positions.size;
+  }
+
+  // Replace the href of every <a> tag. `linkIndex` is the link's position
+  // among all links in the email, so reports can tell identical URLs apart.
+  rewriteLinks(html, activityId) {
+    let linkIndex = -1;
+
+    return html.replace(/<a\b[^>]*>/gi, (tag) => {
+      const match = /(\bhref\s*=\s*)(["'])(.*?)\2/is.exec(tag);
+      if (!match) return tag;
+      linkIndex++;
+
+      const url = this.decodeEntities(match[3].trim());
+      if (!this.shouldTrack(url, tag)) return tag;
+
+      const tracked = this.clickUrl(activityId, url, linkIndex).replace(/&/g, '&amp;');
+      return tag.replace(match[0], () => `${match[1]}${match[2]}${tracked}${match[2]}`);
+    });
+  }
+
+  shouldTrack(url, tag) {
+    if (!url || this.skipSchemes.test(url)) return false;
+    if (this.unsubscribePattern.test(url) || /data-no-track/i.test(tag)) return false;
+    if (url.startsWith(`${this.baseUrl}/api/email-tracking/`)) return false;
+    // Unrendered merge fields can't be redirected to
+    if (/^{{.*}}$/.test(url)) return false;
+    return /^https?:\/\//i.test(url);
+  }
+
+  addOpenPixel(html, activityId) {
+    const pixel = `<img src="${this.openUrl(activityId)}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+
+    if (/<\/body>/i.test(html)) {
+      return html.replace(/<\/body>/i, `${pixel}</body>`);
+    }
+    return html + pixel;
+  }
+
+  decodeEntities(value) {
+    return value
+      .replace(/&amp;/g, '&')
+      .replace(/&#38;/g, '&')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'");
+  }
+}
+
+module.exports = new TrackingInjector();
@@ -0,0 +1,134 @@
+const BounceProcessor = require('../services/BounceProcessor');
+
+function message({ text = '', attachments = [], headers = {}, to } = {}) {
+  return { text, attachments, headers: new Map(Object.entries(headers)), to: to && { value: [{ address: to }] } };
+}
+
+function part(contentType, content) {
+  return { contentType, content: Buffer.from(content) };
+}
+
+describe('BounceProcessor.classify', () => {
+  it('treats 4.x.x enhanced codes as soft', () => {
+    expect(BounceProcessor.classify({ smtpCode: 452, enhancedStatus: '4.2.2' }).bounceType).toBe('soft');
+  });
+
+  it('treats bad and disabled mailboxes as hard', () => {
+    expect(BounceProcessor.classify({ enhancedStatus: '5.1.1' }).bounceType).toBe('hard');
+    expect(BounceProcessor.classify({ enhancedStatus: '5.2.1' }).bounceType).toBe('hard');
+    expect(BounceProcessor.classify({ enhancedStatus: '5.4.4' }).bounceType).toBe('hard');
+  });
+
+  it('treats full mailboxes and policy blocks as soft', () => {
+    expect(BounceProcessor.classify({ enhancedStatus: '5.2.2' }).bounceType).toBe('soft');
+    expect(BounceProcessor.classify({ enhancedStatus: '5.7.1' }).bounceType).toBe('soft');
+  });
+
+  it('returns null for successes and empty input', () => {
+    expect(BounceProcessor.classify({ enhancedStatus: '2.0.0' })).toBeNull();
+    expect(BounceProcessor.classify({ smtpCode: 250 })).toBeNull();
+    expect(BounceProcessor.classify()).toBeNull();
+  });
+
+  it('reads the codes out of the diagnostic text', () => {
+    expect(BounceProcessor.classify({ diagnostic: '550 5.1.1 <a@example.com>: Recipient address rejected' })).toEqual({
+      bounceType: 'hard',
+      smtpCode: 550,
+      enhancedStatus: '5.1.1',
+      diagnostic: '550 5.1.1 <a@example.com>: Recipient address rejected'
+    });
+  });
+
+  it('falls back to the text when only a basic code is given', () => {
+    expect(BounceProcessor.classify({ smtpCode: 550, diagnostic: 'Mailbox full' }).bounceType).toBe('soft');
+    expect(BounceProcessor.classify({ smtpCode: 554, diagnostic: 'No such user here' }).bounceType).toBe('hard');
+    expect(BounceProcessor.classify({ smtpCode: 552 }).bounceType).toBe('soft');
+    expect(BounceProcessor.classify({ smtpCode: 421 }).bounceType).toBe('soft');
+  });
+
+  it('classifies bare text', () => {
+    expect(BounceProcessor.classify({ diagnostic: 'user unknown' }).bounceType).toBe('hard');
+    expect(BounceProcessor.classify({ diagnostic: 'something went wrong' }).bounceType).toBe('soft');
+  });
+});
+
+describe('BounceProcessor.parseDsn', () => {
+  const status = [
+    'Reporting-MTA: dns; mx.example.com',
+    '',
+    'Final-Recipient: rfc822; gone@example.com',
+    'Action: failed',
+    'Status: 5.1.1',
+    'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+    '',
+    'Final-Recipient: rfc822; slow@example.com',
+    'Action: delayed',
+    'Status: 4.4.1',
+    '',
+    'Final-Recipient: rfc822; folded@example.com',
+    'Action: failed',
+    'Status: 5.2.1',
+    'Diagnostic-Code: smtp; 550 5.2.1 The account',
+    '  has been disabled'
+  ].join('\r\n');
+
+  it('reads failed recipients from the delivery-status part', () => {
+    const parsed = message({
+      attachments: [
+        part('message/delivery-status', status),
+        part('text/rfc822-headers', 'From: "Acme News" <news@acme.test>\r\nMessage-ID: <abc@mail.test>\r\n')
+      ]
+    });
+
+    expect(BounceProcessor.parseDsn(parsed)).toEqual([
+      {
+        messageId: '<abc@mail.test>',
+        sender: 'news@acme.test',
+        recipient: 'gone@example.com',
+        enhancedStatus: '5.1.1',
+        diagnostic: '550 5.1.1 User unknown'
+      },
+      {
+        messageId: '<abc@mail.test>',
+        sender: 'news@acme.test',
+        recipient: 'folded@example.com',
+        enhancedStatus: '5.2.1',
+        diagnostic: '550 5.2.1 The account has been disabled'
+      }
+    ]);
+  });
+
+  it('finds the status blocks in the text body', () => {
+    const reports = BounceProcessor.parseDsn(message({ text: status }));
+    expect(reports.map(report => report.recipient)).toEqual(['gone@example.com', 'folded@example.com']);
+    expect(reports[0].messageId).toBeUndefined();
+    expect(reports[0].sender).toBeUndefined();
+  });
+
+  it('falls back to the address the DSN was returned to for the sender', () => {
+    const reports = BounceProcessor.parseDsn(message({ text: status, to: 'news@acme.test' }));
+    expect(reports[0].sender).toBe('news@acme.test');
+  });
+
+  it('falls back to X-Failed-Recipients', () => {
+    const parsed = message({
+      text: 'Delivery failed: no such user',
+      headers: { 'x-failed-recipients': 'one@example.com, two@example.com' }
+    });
+
+    expect(BounceProcessor.parseDsn(parsed)).toEqual([
+      { messageId: undefined, sender: undefined, recipient: 'one@example.com', diagnostic: 'Delivery failed: no such user' },
+      { messageId: undefined, sender: undefined, recipient: 'two@example.com', diagnostic: 'Delivery failed: no such user' }
+    ]);
+  });
+
+  it('returns nothing for ordinary mail', () => {
+    expect(BounceProcessor.parseDsn(message({ text: 'Hello there' }))).toEqual([]);
+  });
+});
+
+describe('BounceProcessor.findActivity', () => {
+  it('leaves a bounce without a Message-ID or sender unmatched', async () => {
+    await expect(BounceProcessor.findActivity(undefined, 'gone@example.com')).resolves.toBeNull();
+  });
+});
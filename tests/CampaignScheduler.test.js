@@ -0,0 +1,106 @@
+const CampaignScheduler = require('../services/CampaignScheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('CampaignScheduler.nextOccurrence', () => {
+  it('keeps the wall-clock time across a DST change', () => {
+    // 09:00 in Berlin is 08:00 UTC in winter and 07:00 UTC in summer
+    const anchor = new Date('2025-03-29T08:00:00Z');
+    const next = CampaignScheduler.nextOccurrence(anchor, anchor, 'daily', 'Europe/Berlin');
+    expect(next.toISOString()).toBe('2025-03-30T07:00:00.000Z');
+  });
+
+  it('moves weekly runs on by seven days', () => {
+    const anchor = new Date('2025-06-02T14:30:00Z');
+    const next = CampaignScheduler.nextOccurrence(anchor, anchor, 'weekly', 'UTC');
+    expect(next.toISOString()).toBe('2025-06-09T14:30:00.000Z');
+  });
+
+  it('clamps monthly runs to shorter months and returns to the anchor day', () => {
+    const anchor = new Date('2025-01-31T10:00:00Z');
+    const february = CampaignScheduler.nextOccurrence(anchor, anchor, 'monthly', 'UTC');
+    const march = CampaignScheduler.nextOccurrence(anchor, february, 'monthly', 'UTC');
+
+    expect(february.toISOString()).toBe('2025-02-28T10:00:00.000Z');
+    expect(march.toISOString()).toBe('2025-03-31T10:00:00.000Z');
+  });
+
+  it('rolls monthly runs over the end of the year', () => {
+    const anchor = new Date('2025-12-15T09:00:00Z');
+    const next = CampaignScheduler.nextOccurrence(anchor, anchor, 'monthly', 'UTC');
+    expect(next.toISOString()).toBe('2026-01-15T09:00:00.000Z');
+  });
+
+  it('returns null for a schedule that does not repeat', () => {
+    const anchor = new Date('2025-06-02T14:30:00Z');
+    expect(CampaignScheduler.nextOccurrence(anchor, anchor, 'none', 'UTC')).toBeNull();
+  });
+});
+
+describe('CampaignScheduler.planRecurrence', () => {
+  const scheduledAt = new Date('2025-06-02T09:00:00Z');
+  const schedule = { repeatType: 'daily', timezone: 'UTC', scheduledAt, startAt: scheduledAt };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs the due occurrence and schedules the next one', () => {
+    const { runAt, nextAt } = CampaignScheduler.planRecurrence(schedule, new Date(scheduledAt.getTime() + 1000));
+
+    expect(runAt).toEqual(scheduledAt);
+    expect(nextAt.toISOString()).toBe('2025-06-03T09:00:00.000Z');
+  });
+
+  it('sends only the latest missed run within the catch-up window', () => {
+    const now = new Date('2025-06-05T10:00:00Z');
+    const { runAt, nextAt } = CampaignScheduler.planRecurrence(schedule, now);
+
+    expect(runAt.toISOString()).toBe('2025-06-05T09:00:00.000Z');
+    expect(nextAt.toISOString()).toBe('2025-06-06T09:00:00.000Z');
+  });
+
+  it('skips a missed run outside the catch-up window but keeps the series going', () => {
+    const weekly = { ...schedule, repeatType: 'weekly' };
+    const now = new Date(scheduledAt.getTime() + 2 * 24 * HOUR);
+    const { runAt, nextAt } = CampaignScheduler.planRecurrence(weekly, now);
+
+    expect(runAt).toBeNull();
+    expect(nextAt.toISOString()).toBe('2025-06-09T09:00:00.000Z');
+  });
+
+  it('ends the series after repeatUntil', () => {
+    const ending = { ...schedule, repeatUntil: new Date('2025-06-02T23:59:00Z') };
+    const { runAt, nextAt } = CampaignScheduler.planRecurrence(ending, new Date(scheduledAt.getTime() + 1000));
+
+    expect(runAt).toEqual(scheduledAt);
+    expect(nextAt).toBeNull();
+  });
+
+  it('runs nothing once the due occurrence is past repeatUntil', () => {
+    const ended = { ...schedule, repeatUntil: new Date('2025-06-03T00:00:00Z') };
+    const result = CampaignScheduler.planRecurrence(ended, new Date('2025-06-04T09:30:00Z'));
+
+    expect(result).toEqual({ runAt: null, nextAt: null });
+  });
+});
+
+describe('CampaignScheduler.parseScheduledAt', () => {
+  it('reads a time without an offset as wall-clock time in the timezone', () => {
+    const date = CampaignScheduler.parseScheduledAt('2025-01-15T09:00', 'America/New_York');
+    expect(date.toISOString()).toBe('2025-01-15T14:00:00.000Z');
+  });
+
+  it('keeps an explicit offset', () => {
+    const date = CampaignScheduler.parseScheduledAt('2025-01-15T09:00:00+02:00', 'America/New_York');
+    expect(date.toISOString()).toBe('2025-01-15T07:00:00.000Z');
+  });
+
+  it('rejects an invalid time', () => {
+    expect(CampaignScheduler.parseScheduledAt('not a date', 'UTC')).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+const ContentLinter = require('../services/ContentLinter');
+
+const UNSUBSCRIBE = '<p><a href="{{unsubscribe_url}}">Unsubscribe</a></p>';
+const TEXT = '<p>Here is what changed in the product this month and what is coming next.</p>';
+
+function codes(report) {
+  return report.findings.map(finding => finding.code);
+}
+
+describe('ContentLinter.lint', () => {
+  it('scores clean content as low risk', () => {
+    const report = ContentLinter.lint({ subject: 'Your June update', html: `<html><body>${TEXT}${UNSUBSCRIBE}</body></html>` });
+
+    expect(report.score).toBe(0);
+    expect(report.level).toBe('low');
+    expect(report.findings).toEqual([]);
+    expect(report.checkedAt).toBeInstanceOf(Date);
+  });
+
+  it('flags a missing unsubscribe link', () => {
+    expect(codes(ContentLinter.lint({ subject: 'Hello', html: TEXT }))).toEqual(['missing_unsubscribe']);
+  });
+
+  it('accepts a plain unsubscribe link', () => {
+    const html = `${TEXT}<a href="https://example.com/prefs">Opt out</a>`;
+    expect(codes(ContentLinter.lint({ subject: 'Hello', html }))).toEqual([]);
+  });
+
+  it('weighs spam phrases in the subject above the body', () => {
+    const report = ContentLinter.lint({ subject: 'Act now', html: `<p>Click here for a free gift.</p>${UNSUBSCRIBE}` });
+    const [subject, body] = report.findings;
+
+    expect(subject).toMatchObject({ code: 'spam_phrase', severity: 'high', points: 10, details: { where: 'subject', phrases: ['act now'] } });
+    expect(body).toMatchObject({ code: 'spam_phrase', severity: 'medium', points: 10, details: { where: 'body', phrases: ['click here', 'free gift'] } });
+  });
+
+  it('caps spam phrase points across subject and body', () => {
+    const report = ContentLinter.lint({
+      subject: 'Urgent: winner, act now',
+      html: `<p>Cheap miracle, guaranteed, no catch.</p>${UNSUBSCRIBE}`
+    });
+
+    expect(report.findings.reduce((sum, finding) => sum + finding.points, 0)).toBe(30);
+  });
+
+  it('matches spam phrases on word boundaries only', () => {
+    expect(codes(ContentLinter.lint({ subject: 'Cheapside office news', html: `${TEXT}${UNSUBSCRIBE}` }))).toEqual([]);
+  });
+
+  it('flags image-only emails and images without alt text', () => {
+    const report = ContentLinter.lint({ subject: 'Hello', html: `<img src="https://example.com/a.png">${UNSUBSCRIBE}` });
+
+    expect(codes(report)).toEqual(['image_only', 'missing_alt']);
+    expect(report.findings[1].details.images).toEqual(['https://example.com/a.png']);
+  });
+
+  it('treats empty alt text as decorative', () => {
+    const html = `${TEXT.repeat(6)}<img src="https://example.com/a.png" alt="">${UNSUBSCRIBE}`;
+    expect(codes(ContentLinter.lint({ subject: 'Hello', html }))).toEqual([]);
+  });
+
+  it('flags a high image-to-text ratio', () => {
+    const html = `${TEXT}<img src="https://example.com/a.png" alt="A"><img src="https://example.com/b.png" alt="B">${UNSUBSCRIBE}`;
+    expect(codes(ContentLinter.lint({ subject: 'Hello', html }))).toEqual(['image_heavy']);
+  });
+
+  it('reports broken links and skips merge fields and mail links', () => {
+    const html = [
+      TEXT,
+      UNSUBSCRIBE,
+      '<a href="#">Empty</a>',
+      '<a href="www.example.com">No scheme</a>',
+      '<a href="http://localhost:3000/page">Local</a>',
+      '<a href="javascript:alert(1)">Script</a>',
+      '<a href="{{profile_url}}">Profile</a>',
+      '<a href="https://{{domain}}/offer">Offer</a>',
+      '<a href="mailto:team@example.com">Mail us</a>',
+      '<a name="top">Anchor</a>'
+    ].join('');
+
+    const [finding] = ContentLinter.lint({ subject: 'Hello', html }).findings;
+
+    expect(finding.code).toBe('broken_link');
+    expect(finding.details.links.map(link => link.href)).toEqual([
+      '#', 'www.example.com', 'http://localhost:3000/page', 'javascript:alert(1)'
+    ]);
+    expect(finding.points).toBe(30);
+  });
+
+  it('warns about HTML near and over the Gmail clipping size', () => {
+    const padding = size => `<!--${'x'.repeat(size * 1024)}-->`;
+
+    expect(codes(ContentLinter.lint({ subject: 'Hello', html: `${TEXT}${UNSUBSCRIBE}${padding(95)}` }))).toEqual(['html_near_clip']);
+    expect(codes(ContentLinter.lint({ subject: 'Hello', html: `${TEXT}${UNSUBSCRIBE}${padding(110)}` }))).toEqual(['html_clipped']);
+  });
+
+  it('flags subjects in capitals, ignoring merge fields', () => {
+    expect(codes(ContentLinter.lint({ subject: 'BIG NEWS TODAY', html: `${TEXT}${UNSUBSCRIBE}` }))).toEqual(['all_caps_subject']);
+    expect(codes(ContentLinter.lint({ subject: 'Hi {{FIRST_NAME}}, news', html: `${TEXT}${UNSUBSCRIBE}` }))).toEqual([]);
+    expect(codes(ContentLinter.lint({ subject: 'FAQ', html: `${TEXT}${UNSUBSCRIBE}` }))).toEqual([]);
+  });
+
+  it('rates the level from the score', () => {
+    const medium = ContentLinter.lint({ subject: 'Hello', html: `<img src="https://example.com/a.png" alt="">${UNSUBSCRIBE}` });
+    const high = ContentLinter.lint({ subject: 'FREE GIFT INSIDE', html: '<img src="https://example.com/a.png">' });
+
+    expect(medium).toMatchObject({ score: 35, level: 'medium' });
+    expect(high.level).toBe('high');
+  });
+});
+
+describe('ContentLinter.lintCampaign', () => {
+  it('reports the riskiest A/B variant', () => {
+    const report = ContentLinter.lintCampaign({
+      subject: 'Your June update',
+      content: `${TEXT}${UNSUBSCRIBE}`,
+      abTest: { enabled: true, variants: [{ name: 'A' }, { name: 'B', content: TEXT }] }
+    });
+
+    expect(report.variant).toBe('B');
+    expect(codes(report)).toEqual(['missing_unsubscribe']);
+  });
+});
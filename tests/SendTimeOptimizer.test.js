@@ -0,0 +1,71 @@
+const SendTimeOptimizer = require('../services/SendTimeOptimizer');
+
+function histogram(counts) {
+  const hours = new Array(24).fill(0);
+  Object.entries(counts).forEach(([hour, count]) => { hours[hour] = count; });
+  return hours;
+}
+
+describe('SendTimeOptimizer.bestHour', () => {
+  it('returns null without any opens', () => {
+    expect(SendTimeOptimizer.bestHour(histogram({}))).toBeNull();
+  });
+
+  it('picks the busiest hour', () => {
+    expect(SendTimeOptimizer.bestHour(histogram({ 9: 5, 14: 2 }))).toBe(9);
+  });
+
+  it('prefers a cluster over a single stray peak', () => {
+    expect(SendTimeOptimizer.bestHour(histogram({ 3: 3, 19: 2, 20: 2, 21: 2 }))).toBe(20);
+  });
+
+  it('counts neighbours across midnight', () => {
+    expect(SendTimeOptimizer.bestHour(histogram({ 23: 2, 0: 2, 1: 2, 12: 2 }))).toBe(0);
+  });
+
+  it('keeps the earliest hour on a tie', () => {
+    expect(SendTimeOptimizer.bestHour(histogram({ 8: 1, 16: 1 }))).toBe(8);
+  });
+});
+
+describe('SendTimeOptimizer.nextLocalHour', () => {
+  const start = new Date('2025-06-02T10:20:00Z');
+
+  it('returns the top of the next matching UTC hour', () => {
+    expect(SendTimeOptimizer.nextLocalHour(start, 14, 'UTC')).toEqual(new Date('2025-06-02T14:00:00Z'));
+  });
+
+  it('returns the start when the hour is already under way', () => {
+    expect(SendTimeOptimizer.nextLocalHour(start, 10, 'UTC')).toBe(start);
+  });
+
+  it('wraps to the next day', () => {
+    expect(SendTimeOptimizer.nextLocalHour(start, 8, 'UTC')).toEqual(new Date('2025-06-03T08:00:00Z'));
+  });
+
+  it('uses the recipient timezone', () => {
+    // 06:20 in New York; 09:00 there during daylight saving time is 13:00 UTC
+    expect(SendTimeOptimizer.nextLocalHour(start, 9, 'America/New_York')).toEqual(new Date('2025-06-02T13:00:00Z'));
+  });
+
+  it('handles half-hour offsets', () => {
+    // 09:00 IST is 03:30 UTC
+    expect(SendTimeOptimizer.nextLocalHour(new Date('2025-06-02T00:00:00Z'), 9, 'Asia/Kolkata'))
+      .toEqual(new Date('2025-06-02T03:30:00Z'));
+  });
+
+  it('returns the start when DST skips the hour', () => {
+    // 02:00 does not exist in New York on 9 March 2025
+    const midnight = new Date('2025-03-09T05:00:00Z');
+    expect(SendTimeOptimizer.nextLocalHour(midnight, 2, 'America/New_York')).toBe(midnight);
+  });
+});
+
+describe('SendTimeOptimizer.timezoneOf', () => {
+  it('falls back to UTC for missing or unknown timezones', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(SendTimeOptimizer.timezoneOf({})).toBe('UTC');
+    expect(SendTimeOptimizer.timezoneOf({ data: { timezone: 'Mars/Olympus_Mons' } })).toBe('UTC');
+    expect(SendTimeOptimizer.timezoneOf({ data: { timezone: 'Europe/Berlin' } })).toBe('Europe/Berlin');
+  });
+});
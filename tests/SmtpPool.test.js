@@ -0,0 +1,33 @@
+const SmtpPool = require('../services/SmtpPool');
+
+function smtpError(responseCode, response, code = 'EENVELOPE') {
+  return Object.assign(new Error(response || 'SMTP error'), { responseCode, response, code });
+}
+
+describe('SmtpPool.classifyError', () => {
+  it('flags authentication failures', () => {
+    expect(SmtpPool.classifyError(Object.assign(new Error('Invalid login'), { code: 'EAUTH' }))).toBe('auth');
+    expect(SmtpPool.classifyError(smtpError(535, '535 5.7.8 Username and Password not accepted', 'EMESSAGE'))).toBe('auth');
+    expect(SmtpPool.classifyError(smtpError(530, '530 5.7.0 Authentication Required', 'EMESSAGE'))).toBe('auth');
+  });
+
+  it('flags a 421 refusing the session as throttling', () => {
+    expect(SmtpPool.classifyError(smtpError(421, '421 4.7.0 Try again later', 'ECONNECTION'))).toBe('throttled');
+  });
+
+  it('leaves a 421 for a recipient to the domain handling', () => {
+    expect(SmtpPool.classifyError(smtpError(421, '421 4.7.0 Try again later'))).toBeNull();
+  });
+
+  it('flags replies about the account sending limits', () => {
+    expect(SmtpPool.classifyError(smtpError(550, '550 5.4.5 Daily user sending quota exceeded'))).toBe('throttled');
+    expect(SmtpPool.classifyError(smtpError(454, '454 4.7.0 Too many login attempts', 'EMESSAGE'))).toBe('throttled');
+    expect(SmtpPool.classifyError(new Error('Sending limit reached for this hour'))).toBe('throttled');
+  });
+
+  it('ignores recipient rejections and connection errors', () => {
+    expect(SmtpPool.classifyError(smtpError(550, '550 5.1.1 User unknown'))).toBeNull();
+    expect(SmtpPool.classifyError(smtpError(451, '451 4.7.1 Greylisted, please retry'))).toBeNull();
+    expect(SmtpPool.classifyError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ESOCKET' }))).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+const TrackingClassifier = require('../services/TrackingClassifier');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const sentAt = new Date('2025-06-02T09:00:00Z');
+const later = new Date('2025-06-02T10:00:00Z');
+
+function activity(tracking = {}) {
+  return { createdAt: sentAt, tracking: { sentAt, ...tracking } };
+}
+
+describe('TrackingClassifier.classifyOpen', () => {
+  it('counts a browser open after the machine window as human', () => {
+    expect(TrackingClassifier.classifyOpen(activity(), BROWSER, later)).toEqual({ isMachine: false, reason: undefined });
+  });
+
+  it('flags privacy proxy prefetches', () => {
+    expect(TrackingClassifier.classifyOpen(activity(), 'Mozilla/5.0', later)).toEqual({ isMachine: true, reason: 'privacy_proxy' });
+  });
+
+  it('flags opens without a user agent', () => {
+    expect(TrackingClassifier.classifyOpen(activity(), undefined, later)).toEqual({ isMachine: true, reason: 'missing_user_agent' });
+  });
+
+  it('flags opens seconds after sending', () => {
+    const now = new Date(sentAt.getTime() + 2000);
+    expect(TrackingClassifier.classifyOpen(activity(), BROWSER, now)).toEqual({ isMachine: true, reason: 'too_soon_after_send' });
+  });
+});
+
+describe('TrackingClassifier.classifyClick', () => {
+  it('counts a single click as human', () => {
+    const result = TrackingClassifier.classifyClick(activity({ linkCount: 3, clickEvents: [] }), BROWSER, later, 0);
+    expect(result.isMachine).toBe(false);
+  });
+
+  it('flags known scanners', () => {
+    const result = TrackingClassifier.classifyClick(activity(), 'Mimecast URL Protect', later, 0);
+    expect(result).toEqual({ isMachine: true, reason: 'scanner_user_agent' });
+  });
+
+  it('flags clicks without a user agent', () => {
+    expect(TrackingClassifier.classifyClick(activity(), '', later, 0)).toEqual({ isMachine: true, reason: 'missing_user_agent' });
+  });
+
+  it('flags clicks seconds after sending', () => {
+    const now = new Date(sentAt.getTime() + 3000);
+    expect(TrackingClassifier.classifyClick(activity(), BROWSER, now, 0).reason).toBe('too_soon_after_send');
+  });
+
+  it('flags the click that completes a sweep of every link and returns the earlier human ones', () => {
+    const clickEvents = [
+      { _id: 'a', linkIndex: 0, clickedAt: new Date(later.getTime() - 4000), isMachine: false },
+      { _id: 'b', linkIndex: 1, clickedAt: new Date(later.getTime() - 2000), isMachine: false }
+    ];
+    const result = TrackingClassifier.classifyClick(activity({ linkCount: 3, clickEvents }), BROWSER, later, 2);
+
+    expect(result.isMachine).toBe(true);
+    expect(result.reason).toBe('all_links_clicked');
+    expect(result.burst.map(event => event._id)).toEqual(['a', 'b']);
+  });
+
+  it('does not treat clicks spread out over time as a sweep', () => {
+    const clickEvents = [
+      { _id: 'a', linkIndex: 0, clickedAt: new Date(later.getTime() - 60 * 1000), isMachine: false },
+      { _id: 'b', linkIndex: 1, clickedAt: new Date(later.getTime() - 2000), isMachine: false }
+    ];
+    const result = TrackingClassifier.classifyClick(activity({ linkCount: 3, clickEvents }), BROWSER, later, 2);
+
+    expect(result.isMachine).toBe(false);
+  });
+
+  it('does not treat repeat clicks on one link as a sweep', () => {
+    const clickEvents = [
+      { _id: 'a', linkIndex: 0, clickedAt: new Date(later.getTime() - 1000), isMachine: false }
+    ];
+    const result = TrackingClassifier.classifyClick(activity({ linkCount: 2, clickEvents }), BROWSER, later, 0);
+
+    expect(result.isMachine).toBe(false);
+  });
+});
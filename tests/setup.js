@@ -0,0 +1,2 @@
+// Services that sign links refuse to load without a secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';